@@ -0,0 +1,29 @@
+const MINUTE = 60 * 1000;
+
+// Секрет подписи cookie сессии — переменная SESSION_SECRET. Можно указать несколько
+// через запятую: новые cookie подписываются первым, остальные ещё принимаются —
+// так секрет меняется, не разлогинивая пользователей
+const secrets = (process.env.SESSION_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean);
+if (secrets.length === 0 && process.env.NODE_ENV === 'production') {
+  throw new Error('SESSION_SECRET must be set in production');
+}
+
+module.exports = {
+  session: {
+    secret: secrets.length > 0 ? secrets : 'sinktravel-development-secret',
+    // Срок жизни сессии без активности; каждый запрос его продлевает
+    maxAge: Number(process.env.SESSION_MAX_AGE) || 14 * 24 * 60 * MINUTE,
+    // Cookie только по HTTPS: SESSION_SECURE_COOKIE=true. За обратным прокси нужен ещё TRUST_PROXY=true
+    secureCookie: process.env.SESSION_SECURE_COOKIE === 'true',
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    cleanupInterval: 15 * MINUTE
+  },
+  // После maxFailures неудачных входов под одним именем за window минут вход под ним
+  // блокируется на lockout минут; с одного адреса — после ipMaxFailures неудач под любыми именами
+  login: {
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    ipMaxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+    window: (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE,
+    lockout: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE
+  }
+};
@@ -0,0 +1,8 @@
+const HOUR = 60 * 60 * 1000;
+
+// Корзина гостя живёт GUEST_CART_TTL_HOURS часов (по умолчанию трое суток) с последнего
+// изменения; просроченные корзины удаляются фоновой очисткой
+module.exports = {
+  guestTtl: (Number(process.env.GUEST_CART_TTL_HOURS) || 72) * HOUR,
+  cleanupInterval: HOUR
+};
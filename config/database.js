@@ -1,9 +1,91 @@
+const fs = require('fs');
+const path = require('path');
 const { Sequelize } = require('sequelize');
 
+const ROOT_DIR = path.join(__dirname, '..');
+const DIALECTS = ['sqlite', 'mssql', 'postgres'];
+
+// Профили подключения; профиль выбирается переменной NODE_ENV (по умолчанию development).
+// Настройки профиля дополняются файлом config/database.json (путь меняется DB_CONFIG)
+// и переменными окружения DB_* — у переменных приоритет выше
+const PROFILES = {
+  development: {
+    dialect: 'sqlite',
+    storage: 'travel_agency.sqlite'
+  },
+  // Каждый запуск тестов получает пустую базу в памяти, миграции применяются заново
+  test: {
+    dialect: 'sqlite',
+    storage: ':memory:'
+  },
+  production: {
+    dialect: 'mssql',
+    host: 'localhost',
+    port: 1433,
+    database: 'travel_agency'
+  }
+};
+
+// Формат файла тот же, что у sequelize-cli: { "production": { "host": ..., "username": ... } }
+const readConfigFile = (profile) => {
+  const file = path.resolve(ROOT_DIR, process.env.DB_CONFIG || 'config/database.json');
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))[profile] || {};
+};
+
+const readEnvironment = () => {
+  const env = process.env;
+  const settings = {
+    dialect: env.DB_DIALECT,
+    storage: env.DB_STORAGE,
+    host: env.DB_HOST,
+    port: env.DB_PORT ? Number(env.DB_PORT) : undefined,
+    database: env.DB_NAME,
+    username: env.DB_USER,
+    password: env.DB_PASSWORD
+  };
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+};
+
+// Шифрование соединения для серверных СУБД: DB_SSL=true
+const sslOptions = (dialect) => {
+  if (process.env.DB_SSL !== 'true') {
+    return {};
+  }
+  if (dialect === 'mssql') {
+    return { options: { encrypt: true, trustServerCertificate: process.env.DB_TRUST_SERVER_CERTIFICATE === 'true' } };
+  }
+  if (dialect === 'postgres') {
+    return { ssl: { rejectUnauthorized: process.env.DB_TRUST_SERVER_CERTIFICATE !== 'true' } };
+  }
+  return {};
+};
+
+const profile = process.env.NODE_ENV || 'development';
+if (!PROFILES[profile]) {
+  throw new Error(`Unknown database profile: ${profile} (expected one of ${Object.keys(PROFILES).join(', ')})`);
+}
+
+const settings = { ...PROFILES[profile], ...readConfigFile(profile), ...readEnvironment() };
+if (!DIALECTS.includes(settings.dialect)) {
+  throw new Error(`Unsupported database dialect: ${settings.dialect} (expected one of ${DIALECTS.join(', ')})`);
+}
+
+if (settings.dialect === 'sqlite') {
+  // Файл базы ищется от корня проекта, а не от папки, из которой запущен скрипт
+  if (settings.storage !== ':memory:') {
+    settings.storage = path.resolve(ROOT_DIR, settings.storage || PROFILES.development.storage);
+  }
+} else {
+  delete settings.storage;
+}
+
 const sequelize = new Sequelize({
-  dialect: 'sqlite',
-  storage: 'travel_agency.sqlite',
-  logging: false
+  ...settings,
+  dialectOptions: { ...sslOptions(settings.dialect), ...settings.dialectOptions },
+  logging: process.env.DB_LOGGING === 'true' ? console.log : false
 });
 
-module.exports = sequelize;
\ No newline at end of file
+module.exports = sequelize;
@@ -0,0 +1,38 @@
+const path = require('path');
+
+// В production настройки почты обязательны: иначе письма молча складывались бы в папку
+// на сервере, а ссылки в них вели бы на localhost
+if (process.env.NODE_ENV === 'production') {
+  const required = ['MAIL_TRANSPORT', 'MAIL_FROM', 'APP_URL'];
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    required.push('SMTP_HOST');
+  }
+  const missing = required.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} must be set in production`);
+  }
+}
+
+// Настройки почты. Транспорт выбирается переменной MAIL_TRANSPORT:
+// smtp — боевая отправка, file — письма складываются в папку mail/,
+// outbox — письма только остаются в таблице Notifications
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || 'file',
+  from: process.env.MAIL_FROM || 'SinkTravel <no-reply@sinktravel.local>',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  },
+  // Адрес сайта для ссылок в письмах
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  fileDir: process.env.MAIL_DIR || path.join(__dirname, '../mail'),
+  // Неудачная отправка повторяется с растущей паузой, после maxAttempts письмо помечается failed
+  maxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS) || 5,
+  // Сколько письмо числится за взявшим его обработчиком; после этого его можно отправить снова
+  claimTimeout: Number(process.env.MAIL_CLAIM_TIMEOUT) || 10 * 60 * 1000,
+  pollInterval: Number(process.env.MAIL_POLL_INTERVAL) || 30 * 1000
+};
@@ -0,0 +1,15 @@
+const path = require('path');
+const { Umzug, SequelizeStorage } = require('umzug');
+const sequelize = require('./database');
+
+// Применённые миграции хранятся в таблице SequelizeMeta
+const migrator = new Umzug({
+  migrations: {
+    glob: path.join(__dirname, '../migrations/*.js').replace(/\\/g, '/')
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize }),
+  logger: undefined
+});
+
+module.exports = migrator;
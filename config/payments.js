@@ -0,0 +1,23 @@
+// В production провайдер и ключ подписи уведомлений обязательны: имитация принимает
+// любую карту, а с ключом по умолчанию уведомление об оплате может подделать кто угодно
+if (process.env.NODE_ENV === 'production') {
+  const missing = ['PAYMENT_PROVIDER', 'PAYMENT_WEBHOOK_SECRET'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} must be set in production`);
+  }
+  if (process.env.PAYMENT_PROVIDER === 'mock') {
+    throw new Error('PAYMENT_PROVIDER=mock is not available in production');
+  }
+}
+
+// Настройки оплаты. Провайдер выбирается переменной PAYMENT_PROVIDER:
+// mock — локальная имитация платёжной страницы для разработки и тестов
+module.exports = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  // Адрес сайта, на который провайдер возвращает покупателя и присылает уведомления
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  // Ключ подписи уведомлений провайдера
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret',
+  // Уведомление с подписью старше этого срока отклоняется, чтобы его нельзя было повторить
+  webhookTolerance: Number(process.env.PAYMENT_WEBHOOK_TOLERANCE) || 5 * 60 * 1000
+};
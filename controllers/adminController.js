@@ -1,165 +1,918 @@
-const { Tour, City, Hotel, Client } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize, Tour, City, Hotel, Client, Departure, User, TourImage, RoomType, AuditLog } = require('../models');
+const imageService = require('../services/imageService');
+const notificationService = require('../services/notificationService');
+const wishlistService = require('../services/wishlistService');
+const { rules, assertValid, toFormErrors, FormError } = require('../services/validationService');
+
+// Справочники, на которые ссылаются туры, и варианты обработки туров при удалении записи
+const REFERENCES = {
+  city: {
+    Model: City,
+    foreignKey: 'CityId',
+    listUrl: '/admin/cities',
+    describe: (city) => `${city.name}, ${city.country}`,
+    canDetach: false
+  },
+  hotel: {
+    Model: Hotel,
+    foreignKey: 'HotelId',
+    listUrl: '/admin/hotels',
+    describe: (hotel) => `${hotel.name} (${hotel.stars}★)`,
+    // туры можно перенести только в отель того же города
+    sameAs: 'CityId',
+    canDetach: false
+  },
+  client: {
+    Model: Client,
+    foreignKey: 'ClientId',
+    listUrl: '/admin/clients',
+    describe: (client) => `${client.name} (${client.email})`,
+    canDetach: true
+  }
+};
+
+// Страница подтверждения удаления; errors._form — почему прошлая попытка не удалась
+const renderDeleteReference = async (req, res, type, record, errors = {}) => {
+  const { Model, foreignKey, describe, canDetach, listUrl, sameAs } = REFERENCES[type];
+  const tours = await Tour.findAll({ where: { [foreignKey]: record.id }, attributes: ['id', 'name', 'nameEn'] });
+  const alternatives = (await Model.findAll({ where: sameAs ? { [sameAs]: record[sameAs] } : {} }))
+    .filter(item => item.id !== record.id);
+
+  res.render('confirm-delete', {
+    type,
+    record,
+    description: describe(record),
+    tours,
+    alternatives: alternatives.map(item => ({ id: item.id, description: describe(item) })),
+    canDetach,
+    listUrl,
+    errors,
+    title: req.t(`admin.delete.title.${type}`)
+  });
+};
+
+const showDeleteReference = (type) => async (req, res) => {
+  try {
+    const record = await REFERENCES[type].Model.findByPk(req.params.id);
+    if (!record) {
+      return res.status(404).render('error', { message: req.t('admin.delete.notFound'), title: req.t('common.error') });
+    }
+    await renderDeleteReference(req, res, type, record);
+  } catch (error) {
+    console.error(`Error preparing ${type} deletion:`, error);
+    res.status(500).render('error', { message: req.t('admin.loadError'), title: req.t('common.error') });
+  }
+};
+
+// Удаляет запись справочника; туры, которые на неё ссылаются, либо переносятся
+// на другую запись, либо удаляются, либо (для клиента) отвязываются.
+const deleteReference = (type) => async (req, res) => {
+  const { Model, foreignKey, listUrl, sameAs } = REFERENCES[type];
+  try {
+    const record = await Model.findByPk(req.params.id);
+    if (!record) {
+      return res.status(404).render('error', { message: req.t('admin.delete.notFound'), title: req.t('common.error') });
+    }
+
+    const { strategy, targetId } = req.body || {};
+    const where = { [foreignKey]: record.id };
+    const tourCount = await Tour.count({ where });
+
+    if (tourCount > 0) {
+      if (strategy === 'reassign') {
+        const target = await Model.findByPk(targetId);
+        if (!target || target.id === record.id || (sameAs && target[sameAs] !== record[sameAs])) {
+          return renderDeleteReference(req, res.status(400), type, record, { _form: 'admin.delete.chooseTarget' });
+        }
+      } else if (strategy !== 'delete-tours' && !(strategy === 'detach' && REFERENCES[type].canDetach)) {
+        return renderDeleteReference(req, res.status(400), type, record, { _form: 'admin.delete.chooseStrategy' });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (tourCount > 0 && strategy === 'reassign') {
+        // вместе с турами в новый город переезжают и отели удаляемого города — первыми,
+        // иначе туры оказались бы в городе, где их отеля нет
+        if (type === 'city') {
+          await Hotel.update({ CityId: targetId }, { where: { CityId: record.id }, transaction, movingTours: true });
+        }
+        await Tour.update({ [foreignKey]: targetId }, { where, transaction });
+      } else if (tourCount > 0 && strategy === 'detach') {
+        await Tour.update({ [foreignKey]: null }, { where, transaction });
+      } else if (tourCount > 0) {
+        await Tour.destroy({ where, transaction, individualHooks: true });
+      }
+      await record.destroy({ transaction });
+    });
+
+    res.redirect(listUrl);
+  } catch (error) {
+    console.error(`Error deleting ${type}:`, error);
+    res.status(500).render('error', { message: req.t('admin.delete.error'), title: req.t('common.error') });
+  }
+};
+
+// Добавляет обработанные изображения в конец галереи тура; первое становится обложкой,
+// если её ещё нет
+const attachImages = async (tourId, images, transaction) => {
+  const existing = await TourImage.findAll({ where: { TourId: tourId }, transaction });
+  const start = existing.reduce((max, image) => Math.max(max, image.position + 1), 0);
+  const hasCover = existing.some(image => image.isCover);
+
+  await TourImage.bulkCreate(images.map((image, index) => ({
+    ...image,
+    TourId: tourId,
+    position: start + index,
+    isCover: !hasCover && index === 0
+  })), { transaction });
+};
+
+const saveTourWithImages = async (files, save) => {
+  const images = await imageService.processUploads(files);
+  try {
+    await sequelize.transaction(async (transaction) => {
+      const tour = await save(transaction);
+      await attachImages(tour.id, images, transaction);
+    });
+  } catch (error) {
+    await imageService.removeFiles(...images.flatMap(image => [image.path, image.thumbnailPath]));
+    throw error;
+  }
+};
+
+const { required, email, integer, number, maxLength, date } = rules;
+
+// Схемы форм админки; имена полей совпадают с name в формах
+const SCHEMAS = {
+  city: {
+    name: [required(), maxLength(255)],
+    country: [required(), maxLength(255)]
+  },
+  hotel: {
+    name: [required(), maxLength(255)],
+    stars: [required(), integer({ min: 1, max: 5 }, 'admin.hotels.starsRange')],
+    cityId: [required('admin.chooseCity')],
+    address: [maxLength(255)]
+  },
+  client: {
+    name: [required(), maxLength(255)],
+    email: [required(), email()],
+    phone: [maxLength(50)]
+  },
+  tour: {
+    name: [required(), maxLength(255)],
+    description: [],
+    nameEn: [maxLength(255)],
+    descriptionEn: [],
+    price: [required(), number({ positive: true })],
+    currency: [required('admin.tours.chooseCurrency')],
+    duration: [required(), integer({ min: 1 }, 'admin.tours.durationInvalid')],
+    cityId: [required('admin.chooseCity')],
+    hotelId: [required('admin.tours.chooseHotel')],
+    clientId: []
+  },
+  departure: {
+    startDate: [required(), date()],
+    seats: [required(), integer({ min: 1 })]
+  },
+  roomType: {
+    name: [required(), maxLength(255)],
+    capacity: [required(), integer({ min: 1 })],
+    priceSupplement: [number({ min: 0 })]
+  }
+};
+
+// Атрибуты моделей, которые в формах называются иначе
+const FORM_FIELDS = { CityId: 'cityId', HotelId: 'hotelId', ClientId: 'clientId' };
+
+const tourValues = (tour) => ({
+  name: tour.name,
+  description: tour.description || '',
+  nameEn: tour.nameEn || '',
+  descriptionEn: tour.descriptionEn || '',
+  price: tour.price,
+  currency: tour.currency,
+  duration: tour.duration,
+  cityId: tour.CityId,
+  hotelId: tour.HotelId,
+  clientId: tour.ClientId || ''
+});
+
+const renderTourForm = async (res, view, locals) => {
+  const cities = await City.findAll();
+  const hotels = await Hotel.findAll();
+  const clients = await Client.findAll();
+  res.render(view, { cities, hotels, clients, values: {}, errors: {}, ...locals });
+};
+
+const renderHotelForm = async (res, locals) => {
+  const cities = await City.findAll({ order: [['name', 'ASC']] });
+  res.render('add-hotel', { cities, values: {}, errors: {}, ...locals });
+};
+
+const renderDepartures = async (req, res, tourId, locals = {}) => {
+  const tour = await Tour.findByPk(tourId, {
+    include: Departure,
+    order: [[Departure, 'startDate', 'ASC']]
+  });
+  if (!tour) {
+    return res.status(404).render('error', { message: req.t('errors.tourNotFound'), title: req.t('common.error') });
+  }
+  res.render('tour-departures', { tour, values: {}, errors: {}, editId: null, title: req.t('admin.departures.title'), ...locals });
+};
+
+const renderRoomTypes = async (req, res, hotelId, locals = {}) => {
+  const hotel = await Hotel.findByPk(hotelId, {
+    include: [City, RoomType],
+    order: [[RoomType, 'priceSupplement', 'ASC']]
+  });
+  if (!hotel) {
+    return res.status(404).render('error', { message: req.t('admin.hotels.notFound'), title: req.t('common.error') });
+  }
+  res.render('hotel-room-types', { hotel, values: {}, errors: {}, editId: null, title: req.t('admin.roomTypes.title'), ...locals });
+};
 
 const adminController = {
   showAddTour: async (req, res) => {
     try {
-      const cities = await City.findAll();
-      const hotels = await Hotel.findAll();
-      const clients = await Client.findAll();
-      res.render('add-tour', { cities, hotels, clients, title: 'Добавить тур' });
+      await renderTourForm(res, 'add-tour', { title: req.t('admin.tours.add') });
     } catch (error) {
       console.error('Error fetching cities, hotels, or clients:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки формы',
-        title: 'Ошибка'
+        message: req.t('admin.formError'),
+        title: req.t('common.error')
       });
     }
   },
 
-  showAddHotel: (req, res) => {
-    res.render('add-hotel', { title: 'Добавить отель' });
+  showAddHotel: async (req, res) => {
+    try {
+      await renderHotelForm(res, { action: '/add-hotel', title: req.t('admin.hotels.add') });
+    } catch (error) {
+      console.error('Error fetching cities:', error);
+      res.status(500).render('error', { message: req.t('admin.formError'), title: req.t('common.error') });
+    }
   },
 
   showAddCity: (req, res) => {
-    res.render('add-city', { title: 'Добавить город' });
+    res.render('add-city', { values: {}, errors: {}, action: '/add-city', title: req.t('admin.cities.add') });
   },
 
   showAddClient: (req, res) => {
-    res.render('add-client', { title: 'Добавить клиента' });
+    res.render('add-client', { values: {}, errors: {}, action: '/add-client', title: req.t('admin.clients.add') });
+  },
+
+  showCities: async (req, res) => {
+    try {
+      const cities = await City.findAll({
+        include: { model: Tour, attributes: ['id'] },
+        order: [['country', 'ASC'], ['name', 'ASC']]
+      });
+      res.render('admin-cities', { cities, title: req.t('admin.cities.title') });
+    } catch (error) {
+      console.error('Error fetching cities:', error);
+      res.status(500).render('error', { message: req.t('admin.cities.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  showHotels: async (req, res) => {
+    try {
+      const hotels = await Hotel.findAll({
+        include: [City, { model: Tour, attributes: ['id'] }, { model: RoomType, attributes: ['id'] }],
+        order: [['name', 'ASC']]
+      });
+      res.render('admin-hotels', { hotels, title: req.t('admin.hotels.title') });
+    } catch (error) {
+      console.error('Error fetching hotels:', error);
+      res.status(500).render('error', { message: req.t('admin.hotels.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  showClients: async (req, res) => {
+    try {
+      const clients = await Client.findAll({
+        include: [
+          { model: Tour, attributes: ['id'] },
+          { model: User, attributes: ['id', 'username'] }
+        ],
+        order: [['name', 'ASC']]
+      });
+      res.render('admin-clients', { clients, title: req.t('admin.clients.title') });
+    } catch (error) {
+      console.error('Error fetching clients:', error);
+      res.status(500).render('error', { message: req.t('admin.clients.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  showEditCity: async (req, res) => {
+    try {
+      const city = await City.findByPk(req.params.id);
+      if (!city) {
+        return res.status(404).render('error', { message: req.t('admin.cities.notFound'), title: req.t('common.error') });
+      }
+      res.render('add-city', {
+        values: { name: city.name, country: city.country },
+        errors: {},
+        action: `/edit-city/${city.id}`,
+        title: req.t('admin.cities.edit')
+      });
+    } catch (error) {
+      console.error('Error fetching city:', error);
+      res.status(500).render('error', { message: req.t('admin.formError'), title: req.t('common.error') });
+    }
   },
 
+  showEditHotel: async (req, res) => {
+    try {
+      const hotel = await Hotel.findByPk(req.params.id);
+      if (!hotel) {
+        return res.status(404).render('error', { message: req.t('admin.hotels.notFound'), title: req.t('common.error') });
+      }
+      await renderHotelForm(res, {
+        values: { name: hotel.name, stars: hotel.stars, address: hotel.address || '', cityId: hotel.CityId },
+        action: `/edit-hotel/${hotel.id}`,
+        title: req.t('admin.hotels.edit')
+      });
+    } catch (error) {
+      console.error('Error fetching hotel:', error);
+      res.status(500).render('error', { message: req.t('admin.formError'), title: req.t('common.error') });
+    }
+  },
+
+  showEditClient: async (req, res) => {
+    try {
+      const client = await Client.findByPk(req.params.id);
+      if (!client) {
+        return res.status(404).render('error', { message: req.t('admin.clients.notFound'), title: req.t('common.error') });
+      }
+      res.render('add-client', {
+        values: { name: client.name, email: client.email, phone: client.phone || '' },
+        errors: {},
+        action: `/edit-client/${client.id}`,
+        title: req.t('admin.clients.edit')
+      });
+    } catch (error) {
+      console.error('Error fetching client:', error);
+      res.status(500).render('error', { message: req.t('admin.formError'), title: req.t('common.error') });
+    }
+  },
+
+  showDeleteCity: showDeleteReference('city'),
+  showDeleteHotel: showDeleteReference('hotel'),
+  showDeleteClient: showDeleteReference('client'),
+
   showEditTour: async (req, res) => {
     try {
       const tourId = req.params.id;
       const tour = await Tour.findByPk(tourId, {
-        include: [City, Hotel, Client],
+        include: [City, Hotel, Client, TourImage],
+        order: [[TourImage, 'position', 'ASC']]
       });
-      const cities = await City.findAll();
-      const hotels = await Hotel.findAll();
-      const clients = await Client.findAll();
-      res.render('edit-tour', { tour, cities, hotels, clients, title: 'Редактировать тур' });
+      if (!tour) {
+        return res.status(404).render('error', { message: req.t('errors.tourNotFound'), title: req.t('common.error') });
+      }
+      await renderTourForm(res, 'edit-tour', { tour, values: tourValues(tour), title: req.t('admin.tours.edit') });
     } catch (error) {
       console.error('Error fetching tour, cities, hotels, or clients:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки формы',
-        title: 'Ошибка'
+        message: req.t('admin.formError'),
+        title: req.t('common.error')
       });
     }
   },
 
   addTour: async (req, res) => {
+    const values = req.body || {};
     try {
-      const { name, description, price, duration, cityId, hotelId, clientId } = req.body;
-      if (name && price && duration && cityId && hotelId) {
-        const image = req.file ? `/uploads/${req.file.filename}` : null;
-
-        await Tour.create({
-          name,
-          description,
-          price,
-          duration,
-          image,
-          CityId: cityId,
-          HotelId: hotelId,
-          ClientId: clientId || null,
-        });
-        res.redirect('/');
-      } else {
-        res.status(400).send('Все обязательные поля должны быть заполнены');
-      }
+      assertValid(values, SCHEMAS.tour);
+      await saveTourWithImages(req.files, (transaction) => Tour.create({
+        name: values.name,
+        description: values.description,
+        nameEn: values.nameEn || null,
+        descriptionEn: values.descriptionEn || null,
+        price: values.price,
+        currency: values.currency,
+        duration: values.duration,
+        CityId: values.cityId,
+        HotelId: values.hotelId,
+        ClientId: values.clientId || null,
+      }, { transaction }));
+      res.redirect('/');
     } catch (error) {
+      await imageService.discardUploads(req.files);
+      const errors = error instanceof imageService.ImageError
+        ? { images: { key: error.message, params: error.params } }
+        : toFormErrors(error, SCHEMAS.tour, FORM_FIELDS);
+      if (errors) {
+        return renderTourForm(res.status(400), 'add-tour', { values, errors, title: req.t('admin.tours.add') });
+      }
       console.error('Error adding tour:', error);
-      res.status(500).send('Internal Server Error');
+      res.status(500).render('error', { message: req.t('admin.tours.addError'), title: req.t('common.error') });
     }
   },
 
   addHotel: async (req, res) => {
+    const values = req.body || {};
     try {
-      const { name, stars, address } = req.body;
-      if (name && stars) {
-        await Hotel.create({ name, stars, address });
-        res.redirect('/');
-      } else {
-        res.status(400).send('Hotel name and stars are required');
-      }
+      assertValid(values, SCHEMAS.hotel);
+      await Hotel.create({ name: values.name, stars: values.stars, address: values.address, CityId: values.cityId });
+      res.redirect('/admin/hotels');
     } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.hotel, FORM_FIELDS);
+      if (errors) {
+        return renderHotelForm(res.status(400), { values, errors, action: '/add-hotel', title: req.t('admin.hotels.add') });
+      }
       console.error('Error adding hotel:', error);
-      res.status(500).send('Internal Server Error');
+      res.status(500).render('error', { message: req.t('admin.hotels.addError'), title: req.t('common.error') });
     }
   },
 
   addCity: async (req, res) => {
+    const values = req.body || {};
     try {
-      const { name, country } = req.body;
-      if (name && country) {
-        await City.create({ name, country });
-        res.redirect('/');
-      } else {
-        res.status(400).send('City name and country are required');
-      }
+      assertValid(values, SCHEMAS.city);
+      await City.create({ name: values.name, country: values.country });
+      res.redirect('/admin/cities');
     } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.city);
+      if (errors) {
+        return res.status(400).render('add-city', { values, errors, action: '/add-city', title: req.t('admin.cities.add') });
+      }
       console.error('Error adding city:', error);
-      res.status(500).send('Internal Server Error');
+      res.status(500).render('error', { message: req.t('admin.cities.addError'), title: req.t('common.error') });
     }
   },
 
   addClient: async (req, res) => {
+    const values = req.body || {};
     try {
-      const { name, email, phone } = req.body;
-      if (name && email) {
-        await Client.create({ name, email, phone });
-        res.redirect('/');
-      } else {
-        res.status(400).send('Client name and email are required');
-      }
+      assertValid(values, SCHEMAS.client);
+      const { name, email, phone } = values;
+      await Client.create({ name, email, phone });
+      await notificationService.notify('client-created', email, { name, email });
+      res.redirect('/admin/clients');
     } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.client);
+      if (errors) {
+        return res.status(400).render('add-client', { values, errors, action: '/add-client', title: req.t('admin.clients.add') });
+      }
       console.error('Error adding client:', error);
-      res.status(500).send('Internal Server Error');
+      res.status(500).render('error', { message: req.t('admin.clients.addError'), title: req.t('common.error') });
     }
   },
 
+  updateCity: async (req, res) => {
+    const values = req.body || {};
+    const action = `/edit-city/${req.params.id}`;
+    try {
+      assertValid(values, SCHEMAS.city);
+      const [updated] = await City.update({ name: values.name, country: values.country }, { where: { id: req.params.id } });
+      if (!updated) {
+        return res.status(404).render('error', { message: req.t('admin.cities.notFound'), title: req.t('common.error') });
+      }
+      res.redirect('/admin/cities');
+    } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.city);
+      if (errors) {
+        return res.status(400).render('add-city', { values, errors, action, title: req.t('admin.cities.edit') });
+      }
+      console.error('Error updating city:', error);
+      res.status(500).render('error', { message: req.t('admin.cities.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  updateHotel: async (req, res) => {
+    const values = req.body || {};
+    const action = `/edit-hotel/${req.params.id}`;
+    try {
+      const hotel = await Hotel.findByPk(req.params.id);
+      if (!hotel) {
+        return res.status(404).render('error', { message: req.t('admin.hotels.notFound'), title: req.t('common.error') });
+      }
+      assertValid(values, SCHEMAS.hotel);
+      // Отель с турами не переносится в другой город — это проверяет хук Hotel.beforeUpdate
+      await hotel.update({ name: values.name, stars: values.stars, address: values.address, CityId: values.cityId });
+      res.redirect('/admin/hotels');
+    } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.hotel, FORM_FIELDS);
+      if (errors) {
+        return renderHotelForm(res.status(400), { values, errors, action, title: req.t('admin.hotels.edit') });
+      }
+      console.error('Error updating hotel:', error);
+      res.status(500).render('error', { message: req.t('admin.hotels.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  updateClient: async (req, res) => {
+    const values = req.body || {};
+    const action = `/edit-client/${req.params.id}`;
+    try {
+      assertValid(values, SCHEMAS.client);
+      const { name, email, phone } = values;
+      const [updated] = await Client.update({ name, email, phone }, { where: { id: req.params.id } });
+      if (!updated) {
+        return res.status(404).render('error', { message: req.t('admin.clients.notFound'), title: req.t('common.error') });
+      }
+      res.redirect('/admin/clients');
+    } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.client);
+      if (errors) {
+        return res.status(400).render('add-client', { values, errors, action, title: req.t('admin.clients.edit') });
+      }
+      console.error('Error updating client:', error);
+      res.status(500).render('error', { message: req.t('admin.clients.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  deleteCity: deleteReference('city'),
+  deleteHotel: deleteReference('hotel'),
+  deleteClient: deleteReference('client'),
+
   deleteTour: async (req, res) => {
     try {
       const tourId = req.params.id;
       await Tour.destroy({
         where: { id: tourId },
+        individualHooks: true,
       });
       res.redirect('/');
     } catch (error) {
       console.error('Error deleting tour:', error);
-      res.status(500).send('Internal Server Error');
+      res.status(500).render('error', { message: req.t('admin.tours.deleteError'), title: req.t('common.error') });
+    }
+  },
+
+  showDeletedTours: async (req, res) => {
+    try {
+      const tours = await Tour.findAll({
+        where: { deletedAt: { [Op.ne]: null } },
+        include: [City, Hotel],
+        paranoid: false,
+        order: [['deletedAt', 'DESC']]
+      });
+      // Кто удалил тур — по последней записи журнала
+      const deletions = await AuditLog.findAll({
+        where: { entity: 'Tour', action: 'delete', entityId: tours.map(tour => tour.id) },
+        order: [['createdAt', 'ASC']]
+      });
+      const deletedBy = Object.fromEntries(deletions.map(entry => [entry.entityId, entry.username]));
+
+      res.render('deleted-tours', { tours, deletedBy, title: req.t('admin.deletedTours.title') });
+    } catch (error) {
+      console.error('Error fetching deleted tours:', error);
+      res.status(500).render('error', { message: req.t('admin.deletedTours.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  restoreTour: async (req, res) => {
+    try {
+      const tour = await Tour.findByPk(req.params.id, { include: Hotel, paranoid: false });
+      if (!tour || !tour.deletedAt) {
+        return res.status(404).render('error', { message: req.t('admin.deletedTours.notFound'), title: req.t('common.error') });
+      }
+      // Пока тур был удалён, его город или отель могли удалить или перенести
+      if (!tour.CityId || !tour.Hotel || tour.Hotel.CityId !== tour.CityId) {
+        return res.status(409).render('error', { message: req.t('admin.deletedTours.cannotRestore'), title: req.t('common.error') });
+      }
+
+      await tour.restore();
+      res.redirect('/admin/tours/deleted');
+    } catch (error) {
+      console.error('Error restoring tour:', error);
+      res.status(500).render('error', { message: req.t('admin.deletedTours.restoreError'), title: req.t('common.error') });
     }
   },
 
   updateTour: async (req, res) => {
+    const values = req.body || {};
     try {
-      const tourId = req.params.id;
-      const { name, description, price, duration, cityId, hotelId, clientId } = req.body;
-
-      let image = req.body.currentImage;
-      if (req.file) {
-        image = `/uploads/${req.file.filename}`;
-      }
-
-      await Tour.update(
-        {
-          name,
-          description,
-          price,
-          duration,
-          image,
-          CityId: cityId,
-          HotelId: hotelId,
-          ClientId: clientId || null,
-        },
-        { where: { id: tourId } }
-      );
+      const tour = await Tour.findByPk(req.params.id, {
+        include: TourImage,
+        order: [[TourImage, 'position', 'ASC']]
+      });
+      if (!tour) {
+        await imageService.discardUploads(req.files);
+        return res.status(404).render('error', { message: req.t('errors.tourNotFound'), title: req.t('common.error') });
+      }
+      const previous = { price: tour.price, currency: tour.currency };
+
+      try {
+        assertValid(values, SCHEMAS.tour);
+        await saveTourWithImages(req.files, (transaction) => tour.update(
+          {
+            name: values.name,
+            description: values.description,
+            nameEn: values.nameEn || null,
+            descriptionEn: values.descriptionEn || null,
+            price: values.price,
+            currency: values.currency,
+            duration: values.duration,
+            CityId: values.cityId,
+            HotelId: values.hotelId,
+            ClientId: values.clientId || null,
+          },
+          { transaction }
+        ));
+      } catch (error) {
+        await imageService.discardUploads(req.files);
+        const errors = error instanceof imageService.ImageError
+          ? { images: { key: error.message, params: error.params } }
+          : toFormErrors(error, SCHEMAS.tour, FORM_FIELDS);
+        if (!errors) {
+          throw error;
+        }
+        // Несохранённые изменения не должны попасть в галерею и заголовок формы
+        await tour.reload();
+        return renderTourForm(res.status(400), 'edit-tour', { tour, values, errors, title: req.t('admin.tours.edit') });
+      }
+
+      // Тур уже сохранён, поэтому ошибка при рассылке уведомлений только логируется
+      await wishlistService.notifyPriceDrop(tour, previous)
+        .catch(error => console.error('Error sending price drop alerts:', error));
       res.redirect('/');
     } catch (error) {
       console.error('Error updating tour:', error);
-      res.status(500).send('Internal Server Error');
+      res.status(500).render('error', { message: req.t('admin.tours.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  deleteTourImage: async (req, res) => {
+    try {
+      const image = await TourImage.findByPk(req.params.id);
+      if (!image) {
+        return res.status(404).render('error', { message: req.t('admin.images.notFound'), title: req.t('common.error') });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await image.destroy({ transaction });
+        if (image.isCover) {
+          const next = await TourImage.findOne({
+            where: { TourId: image.TourId },
+            order: [['position', 'ASC']],
+            transaction
+          });
+          if (next) {
+            await next.update({ isCover: true }, { transaction });
+          }
+        }
+      });
+      res.redirect(`/edit-tour/${image.TourId}`);
+    } catch (error) {
+      console.error('Error deleting tour image:', error);
+      res.status(500).render('error', { message: req.t('admin.images.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  setCoverImage: async (req, res) => {
+    try {
+      const image = await TourImage.findByPk(req.params.id);
+      if (!image) {
+        return res.status(404).render('error', { message: req.t('admin.images.notFound'), title: req.t('common.error') });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await TourImage.update({ isCover: false }, { where: { TourId: image.TourId }, transaction });
+        await image.update({ isCover: true }, { transaction });
+      });
+      res.redirect(`/edit-tour/${image.TourId}`);
+    } catch (error) {
+      console.error('Error setting cover image:', error);
+      res.status(500).render('error', { message: req.t('admin.images.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  moveTourImage: async (req, res) => {
+    try {
+      const image = await TourImage.findByPk(req.params.id);
+      if (!image) {
+        return res.status(404).render('error', { message: req.t('admin.images.notFound'), title: req.t('common.error') });
+      }
+
+      const images = await TourImage.findAll({
+        where: { TourId: image.TourId },
+        order: [['position', 'ASC'], ['id', 'ASC']]
+      });
+      const index = images.findIndex(item => item.id === image.id);
+      const target = (req.body || {}).direction === 'up' ? index - 1 : index + 1;
+
+      if (target >= 0 && target < images.length) {
+        [images[index], images[target]] = [images[target], images[index]];
+        await sequelize.transaction(async (transaction) => {
+          for (const [position, item] of images.entries()) {
+            if (item.position !== position) {
+              await item.update({ position }, { transaction });
+            }
+          }
+        });
+      }
+      res.redirect(`/edit-tour/${image.TourId}`);
+    } catch (error) {
+      console.error('Error moving tour image:', error);
+      res.status(500).render('error', { message: req.t('admin.images.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  showDepartures: async (req, res) => {
+    try {
+      await renderDepartures(req, res, req.params.id);
+    } catch (error) {
+      console.error('Error fetching departures:', error);
+      res.status(500).render('error', {
+        message: req.t('admin.departures.loadError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  addDeparture: async (req, res) => {
+    const tourId = req.params.id;
+    const values = req.body || {};
+    try {
+      assertValid(values, SCHEMAS.departure);
+      await Departure.create({ startDate: values.startDate, seats: values.seats, TourId: tourId });
+      res.redirect(`/edit-tour/${tourId}/departures`);
+    } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.departure);
+      if (errors) {
+        return renderDepartures(req, res.status(400), tourId, { values, errors });
+      }
+      console.error('Error adding departure:', error);
+      res.status(500).render('error', { message: req.t('admin.departures.addError'), title: req.t('common.error') });
+    }
+  },
+
+  updateDeparture: async (req, res) => {
+    const values = req.body || {};
+    try {
+      const departure = await Departure.findByPk(req.params.id);
+      if (!departure) {
+        return res.status(404).render('error', { message: req.t('admin.departures.notFound'), title: req.t('common.error') });
+      }
+
+      try {
+        assertValid(values, SCHEMAS.departure);
+        // Нельзя сократить количество мест ниже уже проданных. Проверка — в самом UPDATE,
+        // чтобы между чтением и записью не успели продать ещё места
+        const [affected] = await Departure.update(
+          { startDate: values.startDate, seats: values.seats },
+          { where: { id: departure.id, seatsBooked: { [Op.lte]: Number(values.seats) } } }
+        );
+        if (affected === 0) {
+          await departure.reload();
+          throw new FormError({ seats: { key: 'admin.departures.seatsBelowBooked', params: { count: departure.seatsBooked } } });
+        }
+      } catch (error) {
+        const errors = toFormErrors(error, SCHEMAS.departure);
+        if (!errors) {
+          throw error;
+        }
+        return renderDepartures(req, res.status(400), departure.TourId, { values, errors, editId: departure.id });
+      }
+      res.redirect(`/edit-tour/${departure.TourId}/departures`);
+    } catch (error) {
+      console.error('Error updating departure:', error);
+      res.status(500).render('error', { message: req.t('admin.departures.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  deleteDeparture: async (req, res) => {
+    try {
+      const departure = await Departure.findByPk(req.params.id);
+      if (!departure) {
+        return res.status(404).render('error', { message: req.t('admin.departures.notFound'), title: req.t('common.error') });
+      }
+      if (departure.seatsBooked > 0) {
+        return renderDepartures(req, res.status(400), departure.TourId, {
+          values: { startDate: departure.startDate, seats: departure.seats },
+          errors: { _form: 'admin.departures.hasBookings' },
+          editId: departure.id
+        });
+      }
+
+      await departure.destroy();
+      res.redirect(`/edit-tour/${departure.TourId}/departures`);
+    } catch (error) {
+      console.error('Error deleting departure:', error);
+      res.status(500).render('error', { message: req.t('admin.departures.deleteError'), title: req.t('common.error') });
+    }
+  },
+
+  showRoomTypes: async (req, res) => {
+    try {
+      await renderRoomTypes(req, res, req.params.id);
+    } catch (error) {
+      console.error('Error fetching room types:', error);
+      res.status(500).render('error', { message: req.t('admin.roomTypes.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  addRoomType: async (req, res) => {
+    const hotelId = req.params.id;
+    const values = req.body || {};
+    try {
+      assertValid(values, SCHEMAS.roomType);
+      const { name, capacity, priceSupplement } = values;
+      await RoomType.create({ name, capacity, priceSupplement: priceSupplement || 0, HotelId: hotelId });
+      res.redirect(`/edit-hotel/${hotelId}/room-types`);
+    } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.roomType);
+      if (errors) {
+        return renderRoomTypes(req, res.status(400), hotelId, { values, errors });
+      }
+      console.error('Error adding room type:', error);
+      res.status(500).render('error', { message: req.t('admin.roomTypes.addError'), title: req.t('common.error') });
+    }
+  },
+
+  updateRoomType: async (req, res) => {
+    const values = req.body || {};
+    try {
+      const roomType = await RoomType.findByPk(req.params.id);
+      if (!roomType) {
+        return res.status(404).render('error', { message: req.t('admin.roomTypes.notFound'), title: req.t('common.error') });
+      }
+
+      try {
+        assertValid(values, SCHEMAS.roomType);
+        const { name, capacity, priceSupplement } = values;
+        await roomType.update({ name, capacity, priceSupplement: priceSupplement || 0 });
+      } catch (error) {
+        const errors = toFormErrors(error, SCHEMAS.roomType);
+        if (!errors) {
+          throw error;
+        }
+        return renderRoomTypes(req, res.status(400), roomType.HotelId, { values, errors, editId: roomType.id });
+      }
+      res.redirect(`/edit-hotel/${roomType.HotelId}/room-types`);
+    } catch (error) {
+      console.error('Error updating room type:', error);
+      res.status(500).render('error', { message: req.t('admin.roomTypes.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  deleteRoomType: async (req, res) => {
+    try {
+      const roomType = await RoomType.findByPk(req.params.id);
+      if (!roomType) {
+        return res.status(404).render('error', { message: req.t('admin.roomTypes.notFound'), title: req.t('common.error') });
+      }
+
+      // Позиции корзин с этим номером удаляются каскадом, в заказах остаётся название
+      await roomType.destroy();
+      res.redirect(`/edit-hotel/${roomType.HotelId}/room-types`);
+    } catch (error) {
+      console.error('Error deleting room type:', error);
+      res.status(500).render('error', { message: req.t('admin.roomTypes.deleteError'), title: req.t('common.error') });
+    }
+  },
+
+  showClientAccounts: async (req, res) => {
+    try {
+      const clients = await Client.findAll({
+        include: { model: User, attributes: ['id', 'username'] },
+        order: [['name', 'ASC']]
+      });
+      const users = await User.findAll({
+        attributes: ['id', 'username'],
+        include: { model: Client, attributes: ['id'] },
+        order: [['username', 'ASC']]
+      });
+      res.render('client-accounts', { clients, users, title: req.t('admin.clientAccounts.title') });
+    } catch (error) {
+      console.error('Error fetching clients and users:', error);
+      res.status(500).render('error', {
+        message: req.t('admin.clients.loadError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  linkClient: async (req, res) => {
+    try {
+      const client = await Client.findByPk(req.params.id);
+      if (!client) {
+        return res.status(404).render('error', { message: req.t('admin.clients.notFound'), title: req.t('common.error') });
+      }
+
+      const userId = req.body.userId || null;
+      if (userId) {
+        const user = await User.findByPk(userId, { include: Client });
+        if (!user) {
+          return res.status(400).render('error', { message: req.t('admin.clientAccounts.userNotFound'), title: req.t('common.error') });
+        }
+        if (user.Client && user.Client.id !== client.id) {
+          return res.status(400).render('error', { message: req.t('admin.clientAccounts.userTaken'), title: req.t('common.error') });
+        }
+      }
+
+      await client.update({ UserId: userId });
+      res.redirect('/client-accounts');
+    } catch (error) {
+      console.error('Error linking client:', error);
+      res.status(500).render('error', { message: req.t('admin.clientAccounts.saveError'), title: req.t('common.error') });
     }
   }
 };
 
-module.exports = adminController;
\ No newline at end of file
+module.exports = adminController;
@@ -0,0 +1,252 @@
+const { ValidationError, ForeignKeyConstraintError } = require('sequelize');
+const bcrypt = require('bcrypt');
+const { Tour, City, Hotel, Client, Departure, TourImage, RoomType, User, ApiToken } = require('../models');
+const cartService = require('../services/cartService');
+const loginThrottleService = require('../services/loginThrottleService');
+const notificationService = require('../services/notificationService');
+const i18nService = require('../services/i18nService');
+const { rules, validate, modelMessage } = require('../services/validationService');
+
+const MAX_PAGE_SIZE = 100;
+
+// Пустые логин и пароль — просто неверные данные (401), но не строка в JSON — ошибка запроса
+const TOKEN_SCHEMA = {
+  username: [rules.text()],
+  password: [rules.text()]
+};
+
+// Сообщения API переводятся на язык из Accept-Language. Если тело запроса не разобралось,
+// до localeLocals дело не дошло и req.t ещё нет — тогда ответ на русском
+const translate = (req, message, params) => (req.t
+  ? req.t(message, params)
+  : i18nService.translate(i18nService.DEFAULT_LOCALE, message, params));
+
+// Единый формат ошибок API: { success: false, message, errors? }
+const sendError = (req, res, error, fallbackMessage) => {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: translate(req, 'api.validationError'),
+      errors: error.errors.map(item => ({ field: item.path, message: translate(req, modelMessage(item)) }))
+    });
+  }
+  if (error instanceof ForeignKeyConstraintError) {
+    return res.status(400).json({ success: false, message: translate(req, 'api.relatedNotFound') });
+  }
+  if (error instanceof cartService.CartError) {
+    return res.status(error.status).json({ success: false, message: translate(req, error.message, error.params) });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: translate(req, fallbackMessage) });
+};
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) {
+    result[field] = source[field];
+  }
+  return result;
+}, {});
+
+// CRUD-обработчики для справочной модели
+const resource = (Model, { fields, include = [], hasTours = false, afterCreate }) => ({
+  list: async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const { count, rows } = await Model.findAndCountAll({
+        include,
+        limit,
+        offset: (page - 1) * limit,
+        order: [['id', 'ASC']],
+        distinct: true
+      });
+      res.json({ success: true, data: rows, meta: { page, limit, total: count } });
+    } catch (error) {
+      sendError(req, res, error, 'api.listError');
+    }
+  },
+
+  read: async (req, res) => {
+    try {
+      const record = await Model.findByPk(req.params.id, { include });
+      if (!record) {
+        return res.status(404).json({ success: false, message: translate(req, 'api.notFound') });
+      }
+      res.json({ success: true, data: record });
+    } catch (error) {
+      sendError(req, res, error, 'api.readError');
+    }
+  },
+
+  create: async (req, res) => {
+    try {
+      const record = await Model.create(pick(req.body || {}, fields));
+      if (afterCreate) {
+        await afterCreate(record);
+      }
+      res.status(201).json({ success: true, data: record });
+    } catch (error) {
+      sendError(req, res, error, 'api.createError');
+    }
+  },
+
+  update: async (req, res) => {
+    try {
+      const record = await Model.findByPk(req.params.id);
+      if (!record) {
+        return res.status(404).json({ success: false, message: translate(req, 'api.notFound') });
+      }
+      await record.update(pick(req.body || {}, fields));
+      res.json({ success: true, data: record });
+    } catch (error) {
+      sendError(req, res, error, 'api.updateError');
+    }
+  },
+
+  remove: async (req, res) => {
+    try {
+      const record = await Model.findByPk(req.params.id);
+      if (!record) {
+        return res.status(404).json({ success: false, message: translate(req, 'api.notFound') });
+      }
+      if (hasTours && await record.countTours() > 0) {
+        return res.status(409).json({ success: false, message: translate(req, 'api.inUse') });
+      }
+      await record.destroy();
+      res.json({ success: true });
+    } catch (error) {
+      sendError(req, res, error, 'api.deleteError');
+    }
+  }
+});
+
+const apiController = {
+  issueToken: async (req, res) => {
+    try {
+      const { username, password, name } = req.body || {};
+      const errors = validate(req.body || {}, TOKEN_SCHEMA);
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: translate(req, 'api.validationError'),
+          errors: Object.entries(errors).map(([field, message]) => ({ field, message: translate(req, message) }))
+        });
+      }
+      // Тот же лимит неудачных попыток, что и у входа на сайт, — иначе пароль подбирали бы здесь
+      await loginThrottleService.assertAllowed(username, req.ip);
+      const user = await User.findOne({ where: { username: username || null } });
+      if (!user || !password || !(await bcrypt.compare(password, user.password))) {
+        await loginThrottleService.recordFailure(username, req.ip);
+        return res.status(401).json({ success: false, message: translate(req, 'auth.invalidCredentials') });
+      }
+      if (user.disabledAt) {
+        return res.status(403).json({ success: false, message: translate(req, 'auth.disabled') });
+      }
+      await loginThrottleService.recordSuccess(username);
+      const token = await ApiToken.issue(user.id, name);
+      res.status(201).json({ success: true, data: { token } });
+    } catch (error) {
+      if (error instanceof loginThrottleService.LoginThrottleError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ success: false, message: translate(req, error.message, error.params) });
+      }
+      sendError(req, res, error, 'api.tokenError');
+    }
+  },
+
+  revokeToken: async (req, res) => {
+    try {
+      await req.apiToken.destroy();
+      res.json({ success: true });
+    } catch (error) {
+      sendError(req, res, error, 'api.revokeError');
+    }
+  },
+
+  tours: resource(Tour, {
+    fields: ['name', 'description', 'nameEn', 'descriptionEn', 'price', 'currency', 'duration', 'CityId', 'HotelId', 'ClientId'],
+    include: [City, { model: Hotel, include: RoomType }, Departure, TourImage]
+  }),
+
+  cities: resource(City, {
+    fields: ['name', 'country'],
+    hasTours: true
+  }),
+
+  hotels: resource(Hotel, {
+    fields: ['name', 'stars', 'address', 'CityId'],
+    include: [City, RoomType],
+    hasTours: true
+  }),
+
+  clients: resource(Client, {
+    fields: ['name', 'email', 'phone'],
+    hasTours: true,
+    afterCreate: (client) => notificationService.notify('client-created', client.email, {
+      name: client.name,
+      email: client.email
+    })
+  }),
+
+  getCart: async (req, res) => {
+    try {
+      const { items, subtotal, discount, promo, promoError, total } = await cartService.getCart({ userId: req.apiUser.id });
+      res.json({
+        success: true,
+        data: { items, subtotal, discount, promoCode: promo ? promo.code : null, promoError: promoError ? req.t(promoError) : null, total }
+      });
+    } catch (error) {
+      sendError(req, res, error, 'cart.loadError');
+    }
+  },
+
+  addCartItem: async (req, res) => {
+    try {
+      const { tourId, departureId, roomTypeId } = req.body || {};
+      const item = await cartService.addItem({ userId: req.apiUser.id }, tourId, departureId, roomTypeId);
+      res.status(201).json({ success: true, data: item });
+    } catch (error) {
+      sendError(req, res, error, 'cart.addFailed');
+    }
+  },
+
+  updateCartItem: async (req, res) => {
+    try {
+      const item = await cartService.setQuantity({ userId: req.apiUser.id }, req.params.itemId, (req.body || {}).quantity);
+      res.json({ success: true, data: item });
+    } catch (error) {
+      sendError(req, res, error, 'cart.updateFailed');
+    }
+  },
+
+  removeCartItem: async (req, res) => {
+    try {
+      await cartService.removeItem({ userId: req.apiUser.id }, req.params.itemId);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(req, res, error, 'cart.removeFailed');
+    }
+  },
+
+  clearCart: async (req, res) => {
+    try {
+      await cartService.clearCart({ userId: req.apiUser.id });
+      res.json({ success: true });
+    } catch (error) {
+      sendError(req, res, error, 'cart.clearFailed');
+    }
+  },
+
+  notFound: (req, res) => {
+    res.status(404).json({ success: false, message: translate(req, 'api.methodNotFound') });
+  },
+
+  handleError: (error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ success: false, message: translate(req, 'api.invalidJson') });
+    }
+    sendError(req, res, error, 'api.internalError');
+  }
+};
+
+module.exports = apiController;
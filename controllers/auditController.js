@@ -0,0 +1,68 @@
+const { Op } = require('sequelize');
+const { AuditLog } = require('../models');
+
+const PAGE_SIZE = 50;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const auditController = {
+  showAuditLog: async (req, res) => {
+    try {
+      const { entity, action, username, entityId, from, to } = req.query;
+      const filters = {
+        entity: AuditLog.ENTITIES.includes(entity) ? entity : '',
+        action: AuditLog.ACTIONS.includes(action) ? action : '',
+        username: (username || '').trim(),
+        entityId: Number.isInteger(Number(entityId)) && Number(entityId) > 0 ? Number(entityId) : '',
+        from: isDate(from) ? from : '',
+        to: isDate(to) ? to : ''
+      };
+
+      const where = {};
+      if (filters.entity) where.entity = filters.entity;
+      if (filters.action) where.action = filters.action;
+      if (filters.username) where.username = filters.username;
+      if (filters.entityId) where.entityId = filters.entityId;
+      if (filters.from || filters.to) {
+        where.createdAt = {};
+        if (filters.from) where.createdAt[Op.gte] = new Date(`${filters.from}T00:00:00`);
+        // Дата «по» включается целиком
+        if (filters.to) where.createdAt[Op.lt] = new Date(new Date(`${filters.to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000);
+      }
+
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const { count, rows: entries } = await AuditLog.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: PAGE_SIZE,
+        offset: (page - 1) * PAGE_SIZE
+      });
+
+      const usernames = (await AuditLog.findAll({
+        attributes: ['username'],
+        group: ['username'],
+        order: [['username', 'ASC']]
+      })).map(entry => entry.username);
+
+      // Параметры фильтра без номера страницы — для ссылок постраничной навигации
+      const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '')).toString();
+
+      res.render('admin-audit', {
+        entries,
+        filters,
+        query,
+        page,
+        pages: Math.max(1, Math.ceil(count / PAGE_SIZE)),
+        usernames,
+        actions: AuditLog.ACTIONS,
+        entities: AuditLog.ENTITIES,
+        title: req.t('audit.title')
+      });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).render('error', { message: req.t('audit.loadError'), title: req.t('common.error') });
+    }
+  }
+};
+
+module.exports = auditController;
@@ -1,64 +1,266 @@
-const { User } = require('../models');
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, User, Client } = require('../models');
+const accountService = require('../services/accountService');
+const cartService = require('../services/cartService');
+const loginThrottleService = require('../services/loginThrottleService');
+const { rules, validate, assertValid, toFormErrors } = require('../services/validationService');
 const bcrypt = require('bcrypt');
 
+const { required, email, maxLength, sameAs, text } = rules;
+
+const SCHEMAS = {
+  register: {
+    username: [required(), maxLength(255)],
+    password: [required()],
+    name: [required(), maxLength(255)],
+    email: [required(), email()],
+    phone: [maxLength(50)]
+  },
+  login: {
+    username: [required(), text()],
+    password: [required(), text()]
+  },
+  forgotPassword: {
+    email: [required(), email()]
+  },
+  resetPassword: {
+    password: [required()],
+    passwordConfirm: [required(), sameAs('password', 'auth.passwordMismatch')]
+  }
+};
+
+// Пароли в форму обратно не подставляются
+const withoutPasswords = ({ password, passwordConfirm, ...values }) => values;
+
+// При входе выдаётся новый идентификатор сессии, чтобы заранее подброшенная
+// cookie не давала доступа к учётной записи. Выбранные язык и валюта сохраняются
+const regenerateSession = (req) => new Promise((resolve, reject) => {
+  const { locale, currency } = req.session;
+  req.session.regenerate((error) => {
+    if (error) {
+      return reject(error);
+    }
+    Object.assign(req.session, { locale, currency });
+    resolve();
+  });
+});
+
+// Ошибка переноса корзины гостя не должна мешать входу, поэтому она только логируется
+const mergeGuestCart = async (guestCartId, userId) => {
+  try {
+    await cartService.mergeGuestCart(guestCartId, userId);
+  } catch (error) {
+    console.error('Error merging guest cart:', error);
+  }
+};
+
 const authController = {
   showLogin: (req, res) => {
     if (req.session.user) {
       return res.redirect('/');
     }
-    res.render('login', { title: 'Вход в систему' });
+    res.render('login', { values: {}, errors: {}, title: req.t('auth.loginTitle') });
   },
 
   showRegister: (req, res) => {
     if (req.session.user) {
       return res.redirect('/');
     }
-    res.render('register', { title: 'Регистрация' });
+    res.render('register', { values: {}, errors: {}, title: req.t('auth.registerTitle') });
   },
 
   register: async (req, res) => {
+    const values = req.body || {};
     try {
-      const { username, password } = req.body;
-      if (username && password) {
-        await User.create({ username, password });
-        res.redirect('/login');
-      } else {
-        res.status(400).render('register', { 
-          error: 'Логин и пароль обязательны',
-          title: 'Регистрация'
+      assertValid(values, SCHEMAS.register);
+      const { username, password, name, email, phone } = values;
+      await sequelize.transaction(async (transaction) => {
+        const user = await User.create({ username, password, email, locale: req.locale }, { transaction });
+
+        // Карточку, заведённую админом на этот email, пользователь получит только после
+        // подтверждения адреса (accountService.linkClientCard)
+        await Client.create({ name, email, phone, UserId: user.id }, { transaction });
+
+        await accountService.sendVerification(user, { transaction, template: 'registration', data: { name } });
+      });
+      res.render('login', {
+        values: {},
+        errors: {},
+        message: req.t('auth.registered'),
+        title: req.t('auth.loginTitle')
+      });
+    } catch (error) {
+      let errors = toFormErrors(error, SCHEMAS.register);
+      if (error instanceof UniqueConstraintError) {
+        errors = error.errors.some(item => item.path === 'email')
+          ? { email: 'auth.emailTaken' }
+          : { username: 'auth.usernameTaken' };
+      }
+      if (errors) {
+        return res.status(400).render('register', {
+          values: withoutPasswords(values),
+          errors,
+          title: req.t('auth.registerTitle')
         });
       }
-    } catch (error) {
       console.error('Error registering user:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка регистрации',
-        title: 'Ошибка'
+        message: req.t('auth.registerError'),
+        title: req.t('common.error')
       });
     }
   },
 
   login: async (req, res) => {
+    const values = req.body || {};
+    const renderLogin = (status, errors) => res.status(status).render('login', {
+      values: withoutPasswords(values),
+      errors,
+      title: req.t('auth.loginTitle')
+    });
     try {
-      const { username, password } = req.body;
+      const errors = validate(values, SCHEMAS.login);
+      if (Object.keys(errors).length > 0) {
+        return renderLogin(400, errors);
+      }
+      const { username, password } = values;
+      await loginThrottleService.assertAllowed(username, req.ip);
       const user = await User.findOne({ where: { username } });
       if (user && await bcrypt.compare(password, user.password)) {
+        if (user.disabledAt) {
+          return renderLogin(403, { _form: 'auth.disabled' });
+        }
+        await loginThrottleService.recordSuccess(username);
+        const { guestCartId } = req.session;
+        await regenerateSession(req);
         req.session.user = { 
           id: user.id, 
           username: user.username, 
           role: user.role 
         };
-        res.redirect('/');
+        await mergeGuestCart(guestCartId, user.id);
+        // Гость, собравший корзину, после входа возвращается к ней
+        res.redirect(guestCartId ? '/cart' : '/');
       } else {
-        res.status(400).render('login', { 
-          error: 'Неверный логин или пароль',
-          title: 'Вход в систему'
-        });
+        await loginThrottleService.recordFailure(username, req.ip);
+        renderLogin(400, { _form: 'auth.invalidCredentials' });
       }
     } catch (error) {
+      if (error instanceof loginThrottleService.LoginThrottleError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return renderLogin(error.status, { _form: { key: error.message, params: error.params } });
+      }
       console.error('Error logging in:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка входа',
-        title: 'Ошибка'
+        message: req.t('auth.loginError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  verifyEmail: async (req, res) => {
+    try {
+      await accountService.verifyEmail(req.params.token);
+      if (req.session.user) {
+        return res.redirect('/profile');
+      }
+      res.render('login', { values: {}, errors: {}, message: req.t('auth.emailVerified'), title: req.t('auth.loginTitle') });
+    } catch (error) {
+      if (error instanceof accountService.AccountError) {
+        return res.status(400).render('error', { message: req.t(error.message), title: req.t('common.error') });
+      }
+      console.error('Error verifying email:', error);
+      res.status(500).render('error', {
+        message: req.t('auth.verifyError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  resendVerification: async (req, res) => {
+    try {
+      const user = await User.findByPk(req.session.user.id);
+      await accountService.sendVerification(user);
+      res.redirect('/profile');
+    } catch (error) {
+      console.error('Error resending verification:', error);
+      res.status(500).render('error', {
+        message: req.t('auth.sendError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  showForgotPassword: (req, res) => {
+    res.render('forgot-password', { values: {}, errors: {}, title: req.t('auth.forgotTitle') });
+  },
+
+  forgotPassword: async (req, res) => {
+    const values = req.body || {};
+    try {
+      assertValid(values, SCHEMAS.forgotPassword);
+      await accountService.requestPasswordReset(values.email);
+      res.render('forgot-password', {
+        values: {},
+        errors: {},
+        message: req.t('auth.resetSent'),
+        title: req.t('auth.forgotTitle')
+      });
+    } catch (error) {
+      const errors = toFormErrors(error, SCHEMAS.forgotPassword);
+      if (errors) {
+        return res.status(400).render('forgot-password', { values, errors, title: req.t('auth.forgotTitle') });
+      }
+      console.error('Error requesting password reset:', error);
+      res.status(500).render('error', {
+        message: req.t('auth.resetError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  showResetPassword: async (req, res) => {
+    try {
+      if (!(await accountService.findResetToken(req.params.token))) {
+        return res.status(400).render('error', {
+          message: req.t('auth.resetLinkInvalid'),
+          title: req.t('common.error')
+        });
+      }
+      res.render('reset-password', { token: req.params.token, errors: {}, title: req.t('auth.resetTitle') });
+    } catch (error) {
+      console.error('Error loading password reset:', error);
+      res.status(500).render('error', {
+        message: req.t('auth.resetError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  resetPassword: async (req, res) => {
+    const { token } = req.params;
+    const values = req.body || {};
+    try {
+      assertValid(values, SCHEMAS.resetPassword);
+      await accountService.resetPassword(token, values.password);
+      res.render('login', {
+        values: {},
+        errors: {},
+        message: req.t('auth.passwordChanged'),
+        title: req.t('auth.loginTitle')
+      });
+    } catch (error) {
+      if (error instanceof accountService.AccountError) {
+        return res.status(400).render('error', { message: req.t(error.message), title: req.t('common.error') });
+      }
+      const errors = toFormErrors(error, SCHEMAS.resetPassword);
+      if (errors) {
+        return res.status(400).render('reset-password', { token, errors, title: req.t('auth.resetTitle') });
+      }
+      console.error('Error resetting password:', error);
+      res.status(500).render('error', {
+        message: req.t('auth.resetError'),
+        title: req.t('common.error')
       });
     }
   },
@@ -67,7 +269,10 @@ const authController = {
     req.session.destroy((err) => {
       if (err) {
         console.error('Error destroying session:', err);
-        res.status(500).send('Internal Server Error');
+        res.status(500).render('error', {
+          message: req.t('auth.logoutError'),
+          title: req.t('common.error')
+        });
       } else {
         res.redirect('/');
       }
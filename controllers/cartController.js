@@ -1,78 +1,177 @@
-const { Cart, CartItem, Tour, City, Hotel } = require('../models');
+const cartService = require('../services/cartService');
 
-const cartController = {
-  showCart: async (req, res) => {
-    try {
-      const cart = await Cart.findOne({
-        where: { UserId: req.session.user.id },
-        include: {
-          model: Tour,
-          through: { attributes: ['id', 'quantity'] },
-          include: [City, Hotel]
-        }
-      });
+// Корзина пользователя или гостя; корзина гостя привязана к его сессии
+// и при входе переносится в корзину пользователя
+const cartOwner = (req) => (req.session.user
+  ? { userId: req.session.user.id }
+  : { guestCartId: req.session.guestCartId });
+
+const rememberGuestCart = (req, cartId) => {
+  if (!req.session.user) {
+    req.session.guestCartId = cartId;
+  }
+};
 
-      let total = 0;
-      let items = [];
-      
-      if (cart && cart.Tours) {
-        items = cart.Tours;
-        total = items.reduce((sum, tour) => sum + (tour.price * tour.CartItem.quantity), 0);
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Корзина для скриптов страницы: суммы в базовой валюте и готовые строки в выбранной,
+// чтобы страница корзины обновлялась без перезагрузки
+const cartJson = (req, res, { items, subtotal, discount, promo, promoError, total }) => {
+  const { formatPrice, formatMoney, currency, baseCurrency } = res.locals;
+  return {
+    items: items.map(item => ({
+      id: item.id,
+      tourId: item.TourId,
+      name: req.localize(item.Tour, 'name'),
+      departureId: item.DepartureId,
+      roomTypeId: item.RoomTypeId,
+      quantity: item.quantity,
+      seatsAvailable: item.Departure ? item.Departure.seatsAvailable : null,
+      price: item.basePrice,
+      total: round(item.basePrice * item.quantity),
+      formatted: {
+        price: formatPrice(item.basePrice),
+        total: formatPrice(item.basePrice * item.quantity)
       }
+    })),
+    currency: baseCurrency,
+    subtotal,
+    discount,
+    total,
+    promoCode: promo ? promo.code : null,
+    promoError: promoError ? req.t(promoError) : null,
+    formatted: {
+      subtotal: discount > 0 ? req.t('cart.subtotal', { amount: formatPrice(subtotal) }) : null,
+      discount: discount > 0 ? req.t('cart.discount', { code: promo.code, amount: formatPrice(discount) }) : null,
+      total: req.t('cart.total', { amount: formatPrice(total) }),
+      baseCurrencyNote: currency !== baseCurrency
+        ? req.t('cart.baseCurrencyNote', { currency: baseCurrency, amount: formatMoney(total) })
+        : null
+    }
+  };
+};
 
-      res.render('cart', {
-        items,
-        total,
-        user: req.session.user,
-        title: 'Корзина'
-      });
+const sendCart = async (req, res, message) => {
+  const cart = await cartService.getCart(cartOwner(req));
+  res.json({ success: true, message: message ? req.t(message) : undefined, cart: cartJson(req, res, cart) });
+};
+
+const renderCart = async (req, res, promoMessage = null) => {
+  const { items, subtotal, discount, promo, promoError, total } = await cartService.getCart(cartOwner(req));
+
+  res.render('cart', {
+    items,
+    subtotal,
+    discount,
+    promo,
+    promoError,
+    promoMessage,
+    total,
+    user: req.session.user,
+    title: req.t('cart.title')
+  });
+};
+
+const cartController = {
+  showCart: async (req, res) => {
+    try {
+      await renderCart(req, res);
     } catch (error) {
       console.error('Error fetching cart:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки корзины',
-        title: 'Ошибка'
+        message: req.t('cart.loadError'),
+        title: req.t('common.error')
       });
     }
   },
 
+  getCartJson: async (req, res) => {
+    try {
+      await sendCart(req, res);
+    } catch (error) {
+      console.error('Error fetching cart:', error);
+      res.status(500).json({ success: false, message: req.t('cart.loadError') });
+    }
+  },
+
   addToCart: async (req, res) => {
     try {
       const { tourId } = req.params;
-      const userId = req.session.user.id;
+      const { departureId, roomTypeId } = req.body || {};
 
-      let cart = await Cart.findOne({ where: { UserId: userId } });
-      
-      if (!cart) {
-        cart = await Cart.create({ UserId: userId });
-      }
+      const item = await cartService.addItem(cartOwner(req), tourId, departureId, roomTypeId);
+      rememberGuestCart(req, item.CartId);
 
-      const cartItem = await CartItem.findOne({
-        where: { CartId: cart.id, TourId: tourId }
-      });
+      res.json({ success: true, message: req.t('cart.added') });
+    } catch (error) {
+      if (error instanceof cartService.CartError) {
+        return res.status(error.status).json({ success: false, message: req.t(error.message, error.params) });
+      }
+      console.error('Error adding to cart:', error);
+      res.status(500).json({ success: false, message: req.t('cart.addFailed') });
+    }
+  },
 
-      if (cartItem) {
-        await cartItem.update({ quantity: cartItem.quantity + 1 });
-      } else {
-        await CartItem.create({ CartId: cart.id, TourId: tourId });
+  applyPromo: async (req, res) => {
+    try {
+      const cart = await cartService.applyPromo(cartOwner(req), (req.body || {}).code);
+      rememberGuestCart(req, cart.id);
+      res.redirect('/cart');
+    } catch (error) {
+      if (error instanceof cartService.CartError) {
+        res.status(error.status);
+        return renderCart(req, res, req.t(error.message, error.params));
       }
+      console.error('Error applying promo code:', error);
+      res.status(500).render('error', { message: req.t('promo.applyError'), title: req.t('common.error') });
+    }
+  },
 
-      res.json({ success: true, message: 'Тур добавлен в корзину' });
+  removePromo: async (req, res) => {
+    try {
+      await cartService.removePromo(cartOwner(req));
+      res.redirect('/cart');
     } catch (error) {
-      console.error('Error adding to cart:', error);
-      res.status(500).json({ success: false, message: 'Ошибка добавления в корзину' });
+      console.error('Error removing promo code:', error);
+      res.status(500).render('error', { message: req.t('promo.removeError'), title: req.t('common.error') });
+    }
+  },
+
+  updateQuantity: async (req, res) => {
+    try {
+      await cartService.setQuantity(cartOwner(req), req.params.itemId, (req.body || {}).quantity);
+      await sendCart(req, res, 'cart.quantityUpdated');
+    } catch (error) {
+      if (error instanceof cartService.CartError) {
+        return res.status(error.status).json({ success: false, message: req.t(error.message, error.params) });
+      }
+      console.error('Error updating cart quantity:', error);
+      res.status(500).json({ success: false, message: req.t('cart.updateFailed') });
     }
   },
 
   removeFromCart: async (req, res) => {
     try {
-      const { itemId } = req.params;
-      await CartItem.destroy({ where: { id: itemId } });
-      res.json({ success: true, message: 'Тур удален из корзины' });
+      await cartService.removeItem(cartOwner(req), req.params.itemId);
+      await sendCart(req, res, 'cart.removed');
     } catch (error) {
+      if (error instanceof cartService.CartError) {
+        return res.status(error.status).json({ success: false, message: req.t(error.message, error.params) });
+      }
       console.error('Error removing from cart:', error);
-      res.status(500).json({ success: false, message: 'Ошибка удаления из корзины' });
+      res.status(500).json({ success: false, message: req.t('cart.removeFailed') });
+    }
+  },
+
+  clearCart: async (req, res) => {
+    try {
+      await cartService.clearCart(cartOwner(req));
+      await sendCart(req, res, 'cart.cleared');
+    } catch (error) {
+      console.error('Error clearing cart:', error);
+      res.status(500).json({ success: false, message: req.t('cart.clearFailed') });
     }
   }
 };
 
-module.exports = cartController;
\ No newline at end of file
+module.exports = cartController;
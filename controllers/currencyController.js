@@ -0,0 +1,138 @@
+const { UniqueConstraintError } = require('sequelize');
+const { Currency } = require('../models');
+const currencyService = require('../services/currencyService');
+const tourImportService = require('../services/tourImportService');
+const { backUrl } = require('../services/redirectService');
+const { rules, assertValid, toFormErrors, FormError } = require('../services/validationService');
+
+const { required, number, maxLength } = rules;
+
+// Поля в строке таблицы без подписей, поэтому сообщения называют поле
+const FIELDS = {
+  name: [required('currencies.nameRequired'), maxLength(255)],
+  symbol: [required('currencies.symbolRequired'), maxLength(10)],
+  rate: [required('currencies.rateRequired'), number({ positive: true }, 'currencies.ratePositive')]
+};
+
+const SCHEMAS = {
+  add: {
+    code: [
+      required('currencies.codeRequired'),
+      (value) => (/^[A-Za-z]{3}$/.test(String(value).trim()) ? null : 'currencies.codeFormat')
+    ],
+    ...FIELDS
+  },
+  update: FIELDS
+};
+
+const renderCurrencies = async (req, res, locals = {}, status = 200) => {
+  const currencies = await Currency.findAll({ order: [['code', 'ASC']] });
+  res.status(status).render('admin-currencies', {
+    currencies,
+    baseCurrency: currencyService.BASE_CURRENCY,
+    error: null,
+    notice: null,
+    // Ошибки формы добавления или строки editId
+    values: {},
+    errors: {},
+    editId: null,
+    title: req.t('currencies.title'),
+    ...locals
+  });
+};
+
+const currencyController = {
+  // Валюта показа запоминается в сессии; пользователь возвращается на ту же страницу
+  selectCurrency: (req, res) => {
+    const { code } = req.body || {};
+    if (req.rates[code]) {
+      req.session.currency = code;
+    }
+    res.redirect(backUrl(req));
+  },
+
+  showCurrencies: async (req, res) => {
+    try {
+      await renderCurrencies(req, res);
+    } catch (error) {
+      console.error('Error fetching currencies:', error);
+      res.status(500).render('error', { message: req.t('currencies.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  addCurrency: async (req, res) => {
+    const values = req.body || {};
+    try {
+      assertValid(values, SCHEMAS.add);
+      const { code, name, symbol, rate } = values;
+      await Currency.create({ code, name, symbol, rate });
+      res.redirect('/admin/currencies');
+    } catch (error) {
+      const errors = error instanceof UniqueConstraintError
+        ? { code: 'currencies.codeTaken' }
+        : toFormErrors(error, SCHEMAS.add);
+      if (errors) {
+        return renderCurrencies(req, res, { values, errors }, 400);
+      }
+      console.error('Error adding currency:', error);
+      res.status(500).render('error', { message: req.t('currencies.addError'), title: req.t('common.error') });
+    }
+  },
+
+  updateCurrency: async (req, res) => {
+    const values = req.body || {};
+    try {
+      const currency = await Currency.findByPk(req.params.id);
+      if (!currency) {
+        return res.status(404).render('error', { message: req.t('currencies.notFound'), title: req.t('common.error') });
+      }
+
+      try {
+        assertValid(values, SCHEMAS.update);
+        const { name, symbol, rate } = values;
+        // Курс базовой валюты всегда 1, иначе поедут все остальные курсы
+        if (currency.code === currencyService.BASE_CURRENCY && Number(rate) !== 1) {
+          throw new FormError({ rate: 'currencies.baseRateFixed' });
+        }
+        await currency.update({ name, symbol, rate });
+      } catch (error) {
+        const errors = toFormErrors(error, SCHEMAS.update);
+        if (!errors) {
+          throw error;
+        }
+        return renderCurrencies(req, res, { values, errors, editId: currency.id }, 400);
+      }
+      res.redirect('/admin/currencies');
+    } catch (error) {
+      console.error('Error updating currency:', error);
+      res.status(500).render('error', { message: req.t('currencies.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  importCurrencies: async (req, res) => {
+    try {
+      if (!req.file) {
+        return renderCurrencies(req, res, { error: req.t('currencies.noFile') }, 400);
+      }
+
+      let rows;
+      try {
+        rows = tourImportService.parseFile(req.file.buffer, req.file.originalname);
+      } catch (parseError) {
+        return renderCurrencies(req, res, { error: req.t('import.readError', { reason: req.t(parseError.message) }) }, 400);
+      }
+
+      const { updated, created } = await currencyService.importRates(rows);
+      renderCurrencies(req, res, { notice: req.t('currencies.imported', { updated, created }) });
+    } catch (error) {
+      if (error instanceof currencyService.CurrencyError) {
+        const messages = error.details.length > 0 ? error.details : [{ key: error.message, params: error.params }];
+        return renderCurrencies(req, res, { error: messages.map(message => req.t(message)).join('; ') }, 400);
+      }
+      console.error('Error importing currency rates:', error);
+      res.status(500).render('error', { message: req.t('currencies.importError'), title: req.t('common.error') });
+    }
+  }
+};
+
+module.exports = currencyController;
@@ -0,0 +1,23 @@
+const { User } = require('../models');
+const i18nService = require('../services/i18nService');
+const { backUrl } = require('../services/redirectService');
+
+const localeController = {
+  selectLocale: async (req, res) => {
+    const { locale } = req.body || {};
+    if (i18nService.isLocale(locale)) {
+      req.session.locale = locale;
+      // Выбранный язык запоминается у пользователя — на нём приходят письма
+      if (req.session.user) {
+        try {
+          await User.update({ locale }, { where: { id: req.session.user.id } });
+        } catch (error) {
+          console.error('Error saving user locale:', error);
+        }
+      }
+    }
+    res.redirect(backUrl(req));
+  }
+};
+
+module.exports = localeController;
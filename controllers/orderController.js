@@ -0,0 +1,290 @@
+const { Op } = require('sequelize');
+const { sequelize, CartItem, Departure, Order, OrderItem, Payment, Refund, User } = require('../models');
+const cartService = require('../services/cartService');
+const promoService = require('../services/promoService');
+const paymentService = require('../services/paymentService');
+
+class SoldOutError extends Error {}
+
+// В корзине осталась дата, на которую тур уже отправился
+class DepartedError extends Error {}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Статус заказа успели изменить параллельным запросом
+class StatusConflictError extends Error {}
+
+// Атомарно занимает места: запрос не пройдёт, если свободных мест меньше, чем нужно,
+// или дата отправления уже наступила
+const reserveSeats = async (departureId, quantity, transaction) => {
+  const [affected] = await Departure.update(
+    { seatsBooked: sequelize.literal(`"seatsBooked" + ${Number(quantity)}`) },
+    {
+      where: {
+        id: departureId,
+        startDate: { [Op.gt]: today() },
+        [Op.and]: sequelize.literal(`"seats" - "seatsBooked" >= ${Number(quantity)}`)
+      },
+      transaction
+    }
+  );
+  if (affected === 0) {
+    throw new SoldOutError();
+  }
+};
+
+const releaseSeats = async (order, transaction) => {
+  const items = await OrderItem.findAll({ where: { OrderId: order.id }, transaction });
+  for (const item of items) {
+    if (item.DepartureId) {
+      await Departure.decrement('seatsBooked', {
+        by: item.quantity,
+        where: { id: item.DepartureId },
+        transaction
+      });
+    }
+  }
+};
+
+// Смена статуса заказа; при отмене места возвращаются в продажу, а оплата — покупателю.
+// Статус сначала захватывается условным UPDATE от прочитанного: из двух одновременных
+// отмен деньги вернёт и места освободит только одна. Если возврат не прошёл, заказу
+// возвращается прежний статус, а места так и остаются за ним
+const changeStatus = async (order, status) => {
+  const previous = order.status;
+  const [affected] = await Order.update(
+    { status },
+    { where: { id: order.id, status: previous } }
+  );
+  if (affected === 0) {
+    throw new StatusConflictError();
+  }
+  order.status = status;
+  if (status !== 'cancelled') {
+    return;
+  }
+
+  try {
+    await paymentService.refundOrder(order);
+  } catch (error) {
+    await Order.update({ status: previous }, { where: { id: order.id, status } });
+    order.status = previous;
+    throw error;
+  }
+  await sequelize.transaction(async (transaction) => {
+    await releaseSeats(order, transaction);
+    if (order.PromoCodeId) {
+      await promoService.release(order.PromoCodeId, transaction);
+    }
+  });
+};
+
+const renderStatusConflict = (req, res) => res.status(409).render('error', {
+  message: req.t('orders.statusChanged'),
+  title: req.t('common.error')
+});
+
+const orderController = {
+  checkout: async (req, res) => {
+    try {
+      // Корзина читается в той же транзакции, а удаляются только попавшие в заказ позиции:
+      // тур, добавленный во время оформления, останется в корзине
+      const result = await sequelize.transaction(async (transaction) => {
+        const { cart, items, discount, promo, promoError, total } = await cartService.getCart(
+          { userId: req.session.user.id },
+          { transaction }
+        );
+        if (items.length === 0) {
+          return { empty: true };
+        }
+        if (promoError) {
+          return { promo, promoError };
+        }
+
+        if (items.some(item => item.Departure && item.Departure.startDate <= today())) {
+          throw new DepartedError();
+        }
+        for (const item of items) {
+          await reserveSeats(item.DepartureId, item.quantity, transaction);
+        }
+        if (promo) {
+          await promoService.redeem(promo, transaction);
+        }
+
+        const order = await Order.create({
+          UserId: req.session.user.id,
+          total,
+          discount,
+          PromoCodeId: promo ? promo.id : null,
+          promoCode: promo ? promo.code : null
+        }, { transaction });
+
+        await OrderItem.bulkCreate(items.map(item => ({
+          OrderId: order.id,
+          TourId: item.Tour.id,
+          DepartureId: item.DepartureId,
+          tourName: item.Tour.name,
+          RoomTypeId: item.RoomTypeId,
+          price: item.basePrice,
+          departureDate: item.Departure ? item.Departure.startDate : null,
+          roomTypeName: item.RoomType ? item.RoomType.name : null,
+          quantity: item.quantity
+        })), { transaction });
+
+        await CartItem.destroy({ where: { id: items.map(item => item.id) }, transaction });
+        await cart.update({ PromoCodeId: null }, { transaction });
+        return {};
+      });
+
+      if (result.empty) {
+        return res.redirect('/cart');
+      }
+      if (result.promoError) {
+        return res.status(409).render('error', {
+          message: req.t('orders.promoNotApplied', { code: result.promo.code, reason: req.t(result.promoError) }),
+          title: req.t('common.error')
+        });
+      }
+      res.redirect('/profile');
+    } catch (error) {
+      if (error instanceof promoService.PromoError) {
+        return res.status(409).render('error', {
+          message: req.t('orders.promoFailed', { reason: req.t(error.message, error.params) }),
+          title: req.t('common.error')
+        });
+      }
+      if (error instanceof DepartedError) {
+        return res.status(409).render('error', {
+          message: req.t('orders.departed'),
+          title: req.t('common.error')
+        });
+      }
+      if (error instanceof SoldOutError) {
+        return res.status(409).render('error', {
+          message: req.t('orders.soldOut'),
+          title: req.t('common.error')
+        });
+      }
+      console.error('Error during checkout:', error);
+      res.status(500).render('error', {
+        message: req.t('orders.checkoutError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  cancelOrder: async (req, res) => {
+    try {
+      const order = await Order.findOne({
+        where: { id: req.params.id, UserId: req.session.user.id }
+      });
+
+      if (!order) {
+        return res.status(404).render('error', {
+          message: req.t('orders.notFound'),
+          title: req.t('common.error')
+        });
+      }
+
+      // Клиент может отменить только ещё не оплаченный заказ
+      if (!['pending', 'confirmed'].includes(order.status)) {
+        return res.status(400).render('error', {
+          message: req.t('orders.cannotCancel'),
+          title: req.t('common.error')
+        });
+      }
+
+      await changeStatus(order, 'cancelled');
+      res.redirect('/profile');
+    } catch (error) {
+      if (error instanceof StatusConflictError) {
+        return renderStatusConflict(req, res);
+      }
+      if (error instanceof paymentService.PaymentError) {
+        return res.status(error.status).render('error', {
+          message: req.t(error.message, error.params),
+          title: req.t('common.error')
+        });
+      }
+      console.error('Error cancelling order:', error);
+      res.status(500).render('error', {
+        message: req.t('orders.cancelError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  showOrders: async (req, res) => {
+    try {
+      const where = {};
+      if (Order.STATUSES.includes(req.query.status)) {
+        where.status = req.query.status;
+      }
+
+      const orders = await Order.findAll({
+        where,
+        include: [
+          { model: User, attributes: ['id', 'username'] },
+          OrderItem,
+          { model: Payment, include: Refund }
+        ],
+        order: [['createdAt', 'DESC'], [Payment, 'createdAt', 'ASC']]
+      });
+
+      res.render('admin-orders', {
+        orders,
+        statuses: Order.STATUSES,
+        transitions: Order.TRANSITIONS,
+        currentStatus: where.status || '',
+        title: req.t('orders.title')
+      });
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      res.status(500).render('error', {
+        message: req.t('orders.loadError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  updateOrderStatus: async (req, res) => {
+    try {
+      const { status } = req.body;
+      const order = await Order.findByPk(req.params.id);
+
+      if (!order) {
+        return res.status(404).render('error', {
+          message: req.t('orders.notFound'),
+          title: req.t('common.error')
+        });
+      }
+
+      if (!Order.canTransition(order.status, status)) {
+        return res.status(400).render('error', {
+          message: req.t('orders.invalidTransition'),
+          title: req.t('common.error')
+        });
+      }
+
+      await changeStatus(order, status);
+      res.redirect('/admin/orders');
+    } catch (error) {
+      if (error instanceof StatusConflictError) {
+        return renderStatusConflict(req, res);
+      }
+      if (error instanceof paymentService.PaymentError) {
+        return res.status(error.status).render('error', {
+          message: req.t(error.message, error.params),
+          title: req.t('common.error')
+        });
+      }
+      console.error('Error updating order status:', error);
+      res.status(500).render('error', {
+        message: req.t('orders.updateError'),
+        title: req.t('common.error')
+      });
+    }
+  }
+};
+
+module.exports = orderController;
@@ -0,0 +1,184 @@
+const { Order, Payment } = require('../models');
+const paymentConfig = require('../config/payments');
+const paymentService = require('../services/paymentService');
+const { rules, validate } = require('../services/validationService');
+
+// Проверка номера карты по алгоритму Луна
+const luhn = (message) => (value) => {
+  const digits = String(value).replace(/\s/g, '');
+  if (!/^\d{12,19}$/.test(digits)) {
+    return message;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0 ? null : message;
+};
+
+// Срок действия ММ/ГГ, карта действует до конца указанного месяца
+const expiry = (message) => (value) => {
+  const match = /^(\d{2})\s*\/\s*(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) {
+    return message;
+  }
+  const endOfMonth = new Date(2000 + Number(match[2]), Number(match[1]), 1);
+  return endOfMonth > new Date() ? null : message;
+};
+
+const pattern = (regex, message) => (value) => (regex.test(String(value).trim()) ? null : message);
+
+const CARD_SCHEMA = {
+  cardNumber: [rules.required(), luhn('payments.mock.invalidCard')],
+  expiry: [rules.required(), expiry('payments.mock.invalidExpiry')],
+  cvc: [rules.required(), pattern(/^\d{3,4}$/, 'payments.mock.invalidCvc')]
+};
+
+// Платёжная страница имитации доступна, только пока выбран провайдер mock
+const findMockSession = (req) => (paymentConfig.provider === 'mock'
+  ? paymentService.getProvider().getSession(req.params.id)
+  : null);
+
+const renderMockCheckout = (req, res, session, values = {}, errors = {}, status = 200) => {
+  res.status(status).render('payment-mock', {
+    session,
+    values,
+    errors,
+    title: req.t('payments.mock.title')
+  });
+};
+
+const paymentController = {
+  payOrder: async (req, res) => {
+    try {
+      const order = await Order.findOne({
+        where: { id: req.params.id, UserId: req.session.user.id }
+      });
+
+      if (!order) {
+        return res.status(404).render('error', {
+          message: req.t('orders.notFound'),
+          title: req.t('common.error')
+        });
+      }
+
+      const redirectUrl = await paymentService.startPayment(order);
+      res.redirect(redirectUrl);
+    } catch (error) {
+      if (error instanceof paymentService.PaymentError) {
+        return res.status(error.status).render('error', {
+          message: req.t(error.message, error.params),
+          title: req.t('common.error')
+        });
+      }
+      console.error('Error starting payment:', error);
+      res.status(500).render('error', {
+        message: req.t('payments.startError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  // Сюда провайдер возвращает покупателя. Статус оплаты к этому моменту может
+  // ещё не прийти — тогда страница сообщает, что оплата обрабатывается
+  showResult: async (req, res) => {
+    try {
+      const payment = await Payment.findOne({
+        where: { id: req.params.id },
+        include: { model: Order, where: { UserId: req.session.user.id } }
+      });
+
+      if (!payment) {
+        return res.status(404).render('error', {
+          message: req.t('payments.notFound'),
+          title: req.t('common.error')
+        });
+      }
+
+      res.render('payment-result', {
+        payment,
+        order: payment.Order,
+        canRetry: paymentService.isPayable(payment.Order),
+        title: req.t('payments.resultTitle')
+      });
+    } catch (error) {
+      console.error('Error fetching payment:', error);
+      res.status(500).render('error', {
+        message: req.t('payments.loadError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  // Уведомление провайдера. Подпись проверяется по исходному телу запроса,
+  // которое сохраняет express.json (см. server.js)
+  webhook: async (req, res) => {
+    try {
+      await paymentService.handleWebhook(req.params.provider, {
+        body: req.rawBody || '',
+        headers: req.headers
+      });
+      res.json({ success: true });
+    } catch (error) {
+      if (error instanceof paymentService.PaymentError) {
+        return res.status(error.status).json({ success: false, message: req.t(error.message, error.params) });
+      }
+      console.error('Error handling payment webhook:', error);
+      res.status(500).json({ success: false, message: req.t('payments.webhookError') });
+    }
+  },
+
+  showMockCheckout: (req, res) => {
+    const session = findMockSession(req);
+    if (!session || session.status !== 'pending') {
+      return res.status(404).render('error', {
+        message: req.t('payments.notFound'),
+        title: req.t('common.error')
+      });
+    }
+    renderMockCheckout(req, res, session);
+  },
+
+  // Данные карты проверяются и передаются имитации провайдера, но не сохраняются и не логируются
+  submitMockCheckout: async (req, res) => {
+    try {
+      const session = findMockSession(req);
+      if (!session || session.status !== 'pending') {
+        return res.status(404).render('error', {
+          message: req.t('payments.notFound'),
+          title: req.t('common.error')
+        });
+      }
+
+      const cancelled = req.body.action === 'cancel';
+      if (!cancelled) {
+        const errors = validate(req.body, CARD_SCHEMA);
+        if (Object.keys(errors).length > 0) {
+          const { cardNumber, expiry: expiryValue } = req.body;
+          return renderMockCheckout(req, res, session, { cardNumber, expiry: expiryValue }, errors, 400);
+        }
+      }
+
+      const returnUrl = await paymentService.getProvider().complete(session.id, {
+        cardNumber: String(req.body.cardNumber || '').replace(/\s/g, ''),
+        cancelled
+      });
+      res.redirect(returnUrl);
+    } catch (error) {
+      console.error('Error completing mock payment:', error.message);
+      res.status(500).render('error', {
+        message: req.t('payments.mock.error'),
+        title: req.t('common.error')
+      });
+    }
+  }
+};
+
+module.exports = paymentController;
@@ -1,60 +1,142 @@
-const { User, Tour, City, Hotel } = require('../models');
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, User, Client, Tour, City, Hotel, Order, OrderItem, Payment } = require('../models');
+const accountService = require('../services/accountService');
+const wishlistService = require('../services/wishlistService');
+const { rules, assertValid, toFormErrors, FormError } = require('../services/validationService');
 const bcrypt = require('bcrypt');
 
+const { required, email, maxLength } = rules;
+
+const PROFILE_SCHEMA = {
+  username: [required(), maxLength(255)],
+  name: [required(), maxLength(255)],
+  email: [required(), email()],
+  phone: [maxLength(50)],
+  currentPassword: [],
+  newPassword: []
+};
+
+const loadProfile = async (userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: { exclude: ['password'] },
+    include: Client
+  });
+
+  // Туры привязаны к клиентской карточке, а не к учётной записи
+  const tours = user.Client
+    ? await Tour.findAll({
+      where: { ClientId: user.Client.id },
+      include: [City, Hotel]
+    })
+    : [];
+
+  const orders = await Order.findAll({
+    where: { UserId: userId },
+    include: [OrderItem, Payment],
+    order: [['createdAt', 'DESC'], [Payment, 'createdAt', 'ASC']]
+  });
+
+  return {
+    user,
+    // Не `client`: ejs принимает это имя из данных как свою опцию и отключает include
+    clientCard: user.Client,
+    tours,
+    orders,
+    unreadAlerts: await wishlistService.countUnreadAlerts(userId)
+  };
+};
+
+const renderProfileErrors = async (req, res, errors) => {
+  const { currentPassword, newPassword, ...values } = req.body || {};
+  res.status(400).render('profile', {
+    ...(await loadProfile(req.session.user.id)),
+    values,
+    errors,
+    title: req.t('profile.title')
+  });
+};
+
 const profileController = {
   showProfile: async (req, res) => {
     try {
-      const user = await User.findByPk(req.session.user.id, {
-        attributes: { exclude: ['password'] }
-      });
-      
-      const userTours = await Tour.findAll({
-        where: { ClientId: req.session.user.id },
-        include: [City, Hotel]
-      });
-
+      const profile = await loadProfile(req.session.user.id);
+      const { user, clientCard } = profile;
       res.render('profile', {
-        user,
-        tours: userTours,
-        title: 'Мой профиль'
+        ...profile,
+        values: {
+          username: user.username,
+          name: clientCard ? clientCard.name : '',
+          email: user.email || (clientCard ? clientCard.email : ''),
+          phone: clientCard && clientCard.phone ? clientCard.phone : ''
+        },
+        errors: {},
+        title: req.t('profile.title')
       });
     } catch (error) {
       console.error('Error fetching profile:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки профиля',
-        title: 'Ошибка'
+        message: req.t('profile.loadError'),
+        title: req.t('common.error')
       });
     }
   },
 
   updateProfile: async (req, res) => {
     try {
-      const { username, currentPassword, newPassword } = req.body;
-      const user = await User.findByPk(req.session.user.id);
+      const values = req.body || {};
+      assertValid(values, PROFILE_SCHEMA);
+      const { username, currentPassword, newPassword, name, email, phone } = values;
+      const user = await User.findByPk(req.session.user.id, { include: Client });
 
-      let updateData = { username };
+      let updateData = { username, email };
 
       if (newPassword) {
         if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
-          return res.status(400).render('profile', {
-            user,
-            error: 'Неверный текущий пароль',
-            title: 'Мой профиль'
-          });
+          throw new FormError({ currentPassword: 'profile.wrongPassword' });
         }
         updateData.password = newPassword;
       }
 
-      await user.update(updateData);
+      await sequelize.transaction(async (transaction) => {
+        user.set(updateData);
+        // Новый адрес нужно подтвердить заново
+        const emailChanged = user.changed('email');
+        if (emailChanged) {
+          user.emailVerifiedAt = null;
+        }
+        await user.save({ transaction });
+        if (emailChanged) {
+          await accountService.sendVerification(user, { transaction });
+        }
+        if (user.Client) {
+          await user.Client.update({ name, email, phone }, { transaction });
+        } else {
+          await Client.create({ name, email, phone, UserId: user.id }, { transaction });
+        }
+      });
+
+      req.session.user.username = user.username;
       res.redirect('/profile');
     } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        const field = error.errors.some(item => item.path === 'email') ? 'email' : 'username';
+        return renderProfileErrors(req, res, {
+          [field]: field === 'email'
+            ? 'profile.emailTaken'
+            : 'profile.usernameTaken'
+        });
+      }
+      const errors = toFormErrors(error, PROFILE_SCHEMA);
+      if (errors) {
+        return renderProfileErrors(req, res, errors);
+      }
       console.error('Error updating profile:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка обновления профиля',
-        title: 'Ошибка'
+        message: req.t('profile.updateError'),
+        title: req.t('common.error')
       });
     }
   }
 };
 
-module.exports = profileController;
\ No newline at end of file
+module.exports = profileController;
@@ -0,0 +1,99 @@
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, PromoCode, City, Tour } = require('../models');
+const { rules, assertValid, toFormErrors, FormError } = require('../services/validationService');
+
+const { required, number, integer, maxLength, date, oneOf } = rules;
+
+const SCHEMA = {
+  code: [required(), maxLength(255)],
+  discountType: [required('promoCodes.chooseType'), oneOf(PromoCode.DISCOUNT_TYPES)],
+  amount: [required(), number({ positive: true })],
+  validFrom: [date()],
+  validUntil: [date()],
+  usageLimit: [integer({ min: 1 })],
+  minOrderTotal: [number({ min: 0 })]
+};
+
+const toList = (value) => [].concat(value || []).map(Number).filter(Number.isInteger);
+
+const renderForm = async (req, res, values = {}, errors = {}) => {
+  const cities = await City.findAll({ order: [['name', 'ASC']] });
+  const tours = await Tour.findAll({ attributes: ['id', 'name', 'nameEn'], order: [['name', 'ASC']] });
+  res.render('add-promo-code', {
+    values,
+    cities,
+    tours,
+    discountTypes: PromoCode.DISCOUNT_TYPES,
+    errors,
+    title: req.t('promoCodes.add')
+  });
+};
+
+const promoCodeController = {
+  showPromoCodes: async (req, res) => {
+    try {
+      const promoCodes = await PromoCode.findAll({
+        include: [
+          { model: City, attributes: ['id', 'name'] },
+          { model: Tour, attributes: ['id', 'name', 'nameEn'] }
+        ],
+        order: [['createdAt', 'DESC']]
+      });
+      res.render('admin-promo-codes', {
+        promoCodes,
+        title: req.t('promoCodes.title')
+      });
+    } catch (error) {
+      console.error('Error fetching promo codes:', error);
+      res.status(500).render('error', { message: req.t('promoCodes.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  showAddPromoCode: async (req, res) => {
+    try {
+      await renderForm(req, res);
+    } catch (error) {
+      console.error('Error preparing promo code form:', error);
+      res.status(500).render('error', { message: req.t('admin.formError'), title: req.t('common.error') });
+    }
+  },
+
+  addPromoCode: async (req, res) => {
+    const values = req.body || {};
+    try {
+      assertValid(values, SCHEMA);
+      const { code, discountType, amount, validFrom, validUntil, usageLimit, minOrderTotal } = values;
+      if (validFrom && validUntil && validFrom > validUntil) {
+        throw new FormError({ validUntil: 'promoCodes.untilBeforeFrom' });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const promo = await PromoCode.create({
+          code,
+          discountType,
+          amount,
+          validFrom: validFrom || null,
+          validUntil: validUntil || null,
+          usageLimit: usageLimit || null,
+          minOrderTotal: minOrderTotal || null
+        }, { transaction });
+        await promo.setCities(toList(values.cityIds), { transaction });
+        await promo.setTours(toList(values.tourIds), { transaction });
+      });
+
+      res.redirect('/admin/promo-codes');
+    } catch (error) {
+      const errors = error instanceof UniqueConstraintError
+        ? { code: 'promoCodes.codeTaken' }
+        : toFormErrors(error, SCHEMA);
+      if (errors) {
+        res.status(400);
+        return renderForm(req, res, values, errors);
+      }
+      console.error('Error adding promo code:', error);
+      res.status(500).render('error', { message: req.t('promoCodes.addError'), title: req.t('common.error') });
+    }
+  }
+};
+
+module.exports = promoCodeController;
@@ -0,0 +1,135 @@
+const { Tour, City, Hotel, Review, Order, OrderItem, User } = require('../models');
+
+// Оставить отзыв может только тот, у кого есть завершённый заказ с этим туром
+const hasCompletedBooking = async (userId, tourId) => {
+  const count = await OrderItem.count({
+    where: { TourId: tourId },
+    include: { model: Order, where: { UserId: userId, status: 'completed' } }
+  });
+  return count > 0;
+};
+
+const reviewController = {
+  showTourReviews: async (req, res) => {
+    try {
+      const tour = await Tour.findByPk(req.params.id, { include: [City, Hotel] });
+      if (!tour) {
+        return res.status(404).render('error', { message: req.t('errors.tourNotFound'), title: req.t('common.error') });
+      }
+
+      const reviews = await Review.findAll({
+        where: { TourId: tour.id, status: 'approved' },
+        include: { model: User, attributes: ['id', 'username'] },
+        order: [['createdAt', 'DESC']]
+      });
+
+      const user = req.session.user;
+      const ownReview = user
+        ? await Review.findOne({ where: { TourId: tour.id, UserId: user.id } })
+        : null;
+      const canReview = user ? await hasCompletedBooking(user.id, tour.id) : false;
+
+      res.render('tour-reviews', {
+        tour,
+        reviews,
+        ownReview,
+        canReview,
+        user,
+        title: req.t('reviews.tourTitle', { tour: req.localize(tour, 'name') })
+      });
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      res.status(500).render('error', { message: req.t('reviews.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  // Повторная отправка заменяет прежний отзыв и снова отправляет его на модерацию
+  submitReview: async (req, res) => {
+    try {
+      const userId = req.session.user.id;
+      const tour = await Tour.findByPk(req.params.id);
+      if (!tour) {
+        return res.status(404).render('error', { message: req.t('errors.tourNotFound'), title: req.t('common.error') });
+      }
+
+      if (!await hasCompletedBooking(userId, tour.id)) {
+        return res.status(403).render('error', {
+          message: req.t('reviews.notAllowed'),
+          title: req.t('common.error')
+        });
+      }
+
+      const { rating, text } = req.body || {};
+      const score = Number(rating);
+      // text=a&text=b приходит массивом
+      if (!Number.isInteger(score) || score < 1 || score > 5 || typeof text !== 'string' || !text.trim()) {
+        return res.status(400).render('error', {
+          message: req.t('reviews.invalid'),
+          title: req.t('common.error')
+        });
+      }
+
+      const review = await Review.findOne({ where: { TourId: tour.id, UserId: userId } });
+      if (review) {
+        await review.update({ rating: score, text: text.trim(), status: 'pending' });
+      } else {
+        await Review.create({ rating: score, text: text.trim(), TourId: tour.id, UserId: userId });
+      }
+
+      res.redirect(`/tours/${tour.id}/reviews`);
+    } catch (error) {
+      console.error('Error saving review:', error);
+      res.status(500).render('error', { message: req.t('reviews.saveError'), title: req.t('common.error') });
+    }
+  },
+
+  showModeration: async (req, res) => {
+    try {
+      // По умолчанию показывается очередь отзывов, ожидающих модерации
+      const currentStatus = req.query.status === 'all' || Review.STATUSES.includes(req.query.status)
+        ? req.query.status
+        : 'pending';
+
+      const reviews = await Review.findAll({
+        where: currentStatus === 'all' ? {} : { status: currentStatus },
+        include: [
+          { model: User, attributes: ['id', 'username'] },
+          { model: Tour, attributes: ['id', 'name', 'nameEn'] }
+        ],
+        order: [['createdAt', 'ASC']]
+      });
+
+      res.render('admin-reviews', {
+        reviews,
+        statuses: Review.STATUSES,
+        currentStatus,
+        title: req.t('reviews.title')
+      });
+    } catch (error) {
+      console.error('Error fetching reviews for moderation:', error);
+      res.status(500).render('error', { message: req.t('reviews.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  moderateReview: async (req, res) => {
+    try {
+      const { status } = req.body || {};
+      const review = await Review.findByPk(req.params.id);
+
+      if (!review) {
+        return res.status(404).render('error', { message: req.t('reviews.notFound'), title: req.t('common.error') });
+      }
+      if (!['approved', 'hidden'].includes(status)) {
+        return res.status(400).render('error', { message: req.t('reviews.invalidStatus'), title: req.t('common.error') });
+      }
+
+      await review.update({ status });
+      res.redirect('/admin/reviews');
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      res.status(500).render('error', { message: req.t('reviews.moderateError'), title: req.t('common.error') });
+    }
+  }
+};
+
+module.exports = reviewController;
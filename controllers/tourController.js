@@ -1,41 +1,169 @@
-const { Tour, City, Hotel, Client } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize, Tour, City, Hotel, Client, Departure, TourImage, RoomType } = require('../models');
+const currencyService = require('../services/currencyService');
+const wishlistService = require('../services/wishlistService');
+
+// В списках показывается только миниатюра обложки
+const coverImage = { model: TourImage, where: { isCover: true }, required: false };
+
+// Цена тура в базовой валюте — чтобы фильтровать и сортировать туры в разных валютах вместе
+const basePrice = sequelize.literal(
+  '"Tour"."price" * (SELECT "rate" FROM "Currencies" WHERE "Currencies"."code" = "Tour"."currency")'
+);
+
+const CATALOG_PAGE_SIZE = 12;
+const DEFAULT_SORT = 'newest';
+
+// Названия сортировок — в каталогах переводов (catalog.sorts)
+const CATALOG_SORTS = {
+  newest: [['createdAt', 'DESC'], ['id', 'DESC']],
+  price_asc: [[basePrice, 'ASC']],
+  price_desc: [[basePrice, 'DESC']],
+  duration_asc: [['duration', 'ASC']],
+  duration_desc: [['duration', 'DESC']],
+  rating_desc: [['ratingAverage', 'DESC'], ['reviewCount', 'DESC']]
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const parseCatalogFilters = (query) => ({
+  country: query.country || undefined,
+  cityId: toNumber(query.cityId),
+  minPrice: toNumber(query.minPrice),
+  maxPrice: toNumber(query.maxPrice),
+  minDuration: toNumber(query.minDuration),
+  maxDuration: toNumber(query.maxDuration),
+  stars: toNumber(query.stars),
+  sort: CATALOG_SORTS[query.sort] ? query.sort : DEFAULT_SORT
+});
+
+const range = (min, max) => {
+  const condition = {};
+  if (min !== undefined) condition[Op.gte] = min;
+  if (max !== undefined) condition[Op.lte] = max;
+  return Object.getOwnPropertySymbols(condition).length > 0 ? condition : undefined;
+};
+
+// Границы цены задаются в валюте показа и переводятся в базовую функцией toBase
+const buildCatalogWhere = (filters, toBase) => {
+  const where = {};
+  const cityWhere = {};
+  const hotelWhere = {};
+
+  if (filters.cityId !== undefined) where.CityId = filters.cityId;
+  const price = range(
+    filters.minPrice !== undefined ? toBase(filters.minPrice) : undefined,
+    filters.maxPrice !== undefined ? toBase(filters.maxPrice) : undefined
+  );
+  if (price) where[Op.and] = [sequelize.where(basePrice, price)];
+  const duration = range(filters.minDuration, filters.maxDuration);
+  if (duration) where.duration = duration;
+  if (filters.country) cityWhere.country = filters.country;
+  if (filters.stars !== undefined) hotelWhere.stars = { [Op.gte]: filters.stars };
+
+  return {
+    where,
+    cityWhere: Object.keys(cityWhere).length > 0 ? cityWhere : undefined,
+    hotelWhere: Object.keys(hotelWhere).length > 0 ? hotelWhere : undefined
+  };
+};
 
 const tourController = {
   showHome: async (req, res) => {
     try {
       const tours = await Tour.findAll({
-        include: [City, Hotel, Client],
+        include: [City, Hotel, Client, coverImage],
         limit: 6
       });
       res.render('index', { 
         tours, 
         user: req.session.user,
-        title: 'Главная - Туристическое агентство'
+        title: req.t('home.title')
       });
     } catch (error) {
       console.error('Error fetching tours:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки туров',
-        title: 'Ошибка'
+        message: req.t('home.loadError'),
+        title: req.t('common.error')
       });
     }
   },
 
   showCatalog: async (req, res) => {
     try {
-      const tours = await Tour.findAll({
-        include: [City, Hotel, Client],
+      const filters = parseCatalogFilters(req.query);
+      const { where, cityWhere, hotelWhere } = buildCatalogWhere(filters, (amount) =>
+        currencyService.toBase(amount, res.locals.currency, req.rates));
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const { count, rows: tours } = await Tour.findAndCountAll({
+        where,
+        include: [
+          { model: City, where: cityWhere },
+          {
+            model: Hotel,
+            where: hotelWhere,
+            include: { model: RoomType, separate: true, order: [['priceSupplement', 'ASC']] }
+          },
+          Client,
+          { ...coverImage, separate: true },
+          {
+            model: Departure,
+            separate: true,
+            where: { startDate: { [Op.gt]: new Date().toISOString().slice(0, 10) } },
+            order: [['startDate', 'ASC']]
+          }
+        ],
+        order: CATALOG_SORTS[filters.sort],
+        limit: CATALOG_PAGE_SIZE,
+        offset: (page - 1) * CATALOG_PAGE_SIZE,
+        distinct: true
       });
+
+      const cities = await City.findAll({ order: [['country', 'ASC'], ['name', 'ASC']] });
+      const countries = [...new Set(cities.map(city => city.country))];
+      const wishlistIds = req.session.user ? await wishlistService.getTourIds(req.session.user.id) : [];
+
+      // Ссылки пагинации сохраняют все активные фильтры
+      const pageUrl = (targetPage) => {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value !== undefined && value !== '' && !(key === 'sort' && value === DEFAULT_SORT)) {
+            params.set(key, value);
+          }
+        });
+        if (targetPage > 1) {
+          params.set('page', targetPage);
+        }
+        const query = params.toString();
+        return query ? `/catalog?${query}` : '/catalog';
+      };
+
       res.render('catalog', { 
         tours, 
+        filters,
+        cities,
+        countries,
+        sorts: Object.keys(CATALOG_SORTS),
+        page,
+        totalPages: Math.max(Math.ceil(count / CATALOG_PAGE_SIZE), 1),
+        total: count,
+        pageUrl,
+        wishlistIds,
         user: req.session.user,
-        title: 'Каталог туров'
+        title: req.t('catalog.title')
       });
     } catch (error) {
       console.error('Error fetching tours for catalog:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки каталога',
-        title: 'Ошибка'
+        message: req.t('catalog.loadError'),
+        title: req.t('common.error')
       });
     }
   },
@@ -48,13 +176,13 @@ const tourController = {
       res.render('database', { 
         tours, 
         user: req.session.user,
-        title: 'База данных туров'
+        title: req.t('database.title')
       });
     } catch (error) {
       console.error('Error fetching tours for database view:', error);
       res.status(500).render('error', { 
-        message: 'Ошибка загрузки базы данных',
-        title: 'Ошибка'
+        message: req.t('database.loadError'),
+        title: req.t('common.error')
       });
     }
   }
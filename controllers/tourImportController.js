@@ -0,0 +1,88 @@
+const tourImportService = require('../services/tourImportService');
+
+const renderImport = (req, res, locals = {}, status = 200) => {
+  res.status(status).render('import-tours', {
+    columns: tourImportService.COLUMNS,
+    preview: null,
+    error: null,
+    imported: null,
+    title: req.t('import.title'),
+    ...locals
+  });
+};
+
+const tourImportController = {
+  showImport: (req, res) => {
+    renderImport(req, res);
+  },
+
+  previewImport: async (req, res) => {
+    try {
+      if (!req.file) {
+        return renderImport(req, res, { error: req.t('import.noFile') }, 400);
+      }
+
+      let rows;
+      try {
+        rows = tourImportService.parseFile(req.file.buffer, req.file.originalname);
+      } catch (parseError) {
+        return renderImport(req, res, {
+          error: req.t('import.readError', { reason: req.t(parseError.message, parseError.params) })
+        }, 400);
+      }
+
+      const preview = await tourImportService.previewRows(rows);
+      const hasErrors = preview.some(result => result.errors.length > 0);
+      // Подтверждения в сессии ждут только проверенные строки файла без ошибок
+      if (hasErrors) {
+        delete req.session.tourImport;
+      } else {
+        req.session.tourImport = preview.map(result => result.row);
+      }
+
+      renderImport(req, res, { preview, hasErrors });
+    } catch (error) {
+      console.error('Error previewing tour import:', error);
+      res.status(500).render('error', {
+        message: req.t('import.previewError'),
+        title: req.t('common.error')
+      });
+    }
+  },
+
+  commitImport: async (req, res) => {
+    try {
+      const rows = req.session.tourImport;
+      if (!rows) {
+        return res.redirect('/import-tours');
+      }
+
+      const imported = await tourImportService.importRows(rows);
+      delete req.session.tourImport;
+      renderImport(req, res, { imported });
+    } catch (error) {
+      console.error('Error importing tours:', error);
+      renderImport(req, res, { error: req.t('import.commitError') }, 400);
+    }
+  },
+
+  exportTours: async (req, res) => {
+    try {
+      const format = req.query.format === 'json' ? 'json' : 'csv';
+      const content = await tourImportService.exportTours(format);
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.type(format === 'json' ? 'application/json' : 'text/csv');
+      res.attachment(`tours-${date}.${format}`);
+      res.send(content);
+    } catch (error) {
+      console.error('Error exporting tours:', error);
+      res.status(500).render('error', {
+        message: req.t('import.exportError'),
+        title: req.t('common.error')
+      });
+    }
+  }
+};
+
+module.exports = tourImportController;
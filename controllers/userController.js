@@ -0,0 +1,96 @@
+const { User, Client } = require('../models');
+
+// Свою учётную запись админ не может ни заблокировать, ни понизить, чтобы не потерять доступ
+const findEditableUser = async (req, res) => {
+  const user = await User.findByPk(req.params.id);
+  if (!user) {
+    res.status(404).render('error', { message: req.t('users.notFound'), title: req.t('common.error') });
+    return null;
+  }
+  if (user.id === req.session.user.id) {
+    res.status(400).render('error', { message: req.t('users.cannotEditSelf'), title: req.t('common.error') });
+    return null;
+  }
+  return user;
+};
+
+const userController = {
+  showUsers: async (req, res) => {
+    try {
+      const where = {};
+      if (User.ROLES.includes(req.query.role)) {
+        where.role = req.query.role;
+      }
+
+      const users = await User.findAll({
+        where,
+        attributes: { exclude: ['password'] },
+        include: { model: Client, attributes: ['id', 'name'] },
+        order: [['username', 'ASC']]
+      });
+
+      res.render('admin-users', {
+        users,
+        roles: User.ROLES,
+        currentRole: where.role || '',
+        title: req.t('users.title')
+      });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).render('error', { message: req.t('users.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  updateRole: async (req, res) => {
+    try {
+      const { role } = req.body || {};
+      if (!User.ROLES.includes(role)) {
+        return res.status(400).render('error', { message: req.t('users.invalidRole'), title: req.t('common.error') });
+      }
+      const user = await findEditableUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      await user.update({ role });
+      res.redirect('/admin/users');
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      res.status(500).render('error', { message: req.t('users.roleError'), title: req.t('common.error') });
+    }
+  },
+
+  disableUser: async (req, res) => {
+    try {
+      const user = await findEditableUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      if (!user.disabledAt) {
+        await user.update({ disabledAt: new Date() });
+      }
+      res.redirect('/admin/users');
+    } catch (error) {
+      console.error('Error disabling user:', error);
+      res.status(500).render('error', { message: req.t('users.disableError'), title: req.t('common.error') });
+    }
+  },
+
+  enableUser: async (req, res) => {
+    try {
+      const user = await findEditableUser(req, res);
+      if (!user) {
+        return;
+      }
+
+      await user.update({ disabledAt: null });
+      res.redirect('/admin/users');
+    } catch (error) {
+      console.error('Error enabling user:', error);
+      res.status(500).render('error', { message: req.t('users.enableError'), title: req.t('common.error') });
+    }
+  }
+};
+
+module.exports = userController;
@@ -0,0 +1,48 @@
+const wishlistService = require('../services/wishlistService');
+
+const wishlistController = {
+  showWishlist: async (req, res) => {
+    try {
+      const userId = req.session.user.id;
+      const items = await wishlistService.getWishlist(userId);
+      const alerts = await wishlistService.getAlerts(userId);
+      // Уведомления считаются прочитанными, как только страница открыта; новые выделяются один раз
+      await wishlistService.markAlertsRead(userId);
+
+      res.render('wishlist', {
+        items,
+        alerts,
+        user: req.session.user,
+        title: req.t('wishlist.title')
+      });
+    } catch (error) {
+      console.error('Error fetching wishlist:', error);
+      res.status(500).render('error', { message: req.t('wishlist.loadError'), title: req.t('common.error') });
+    }
+  },
+
+  addToWishlist: async (req, res) => {
+    try {
+      await wishlistService.addTour(req.session.user.id, req.params.tourId);
+      res.json({ success: true, message: req.t('wishlist.added') });
+    } catch (error) {
+      if (error instanceof wishlistService.WishlistError) {
+        return res.status(error.status).json({ success: false, message: req.t(error.message) });
+      }
+      console.error('Error adding to wishlist:', error);
+      res.status(500).json({ success: false, message: req.t('wishlist.addFailed') });
+    }
+  },
+
+  removeFromWishlist: async (req, res) => {
+    try {
+      await wishlistService.removeTour(req.session.user.id, req.params.tourId);
+      res.json({ success: true, message: req.t('wishlist.removed') });
+    } catch (error) {
+      console.error('Error removing from wishlist:', error);
+      res.status(500).json({ success: false, message: req.t('wishlist.removeFailed') });
+    }
+  }
+};
+
+module.exports = wishlistController;
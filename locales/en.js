@@ -0,0 +1,771 @@
+// Английский каталог переводов. Ключи совпадают с русским каталогом;
+// чего здесь нет, показывается по-русски
+module.exports = {
+  common: {
+    error: 'Error',
+    save: 'Save',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    edit: 'Edit',
+    add: 'Add',
+    actions: 'Actions',
+    previous: 'Previous',
+    next: 'Next',
+    yes: 'Yes',
+    no: 'No',
+    toCatalog: 'Go to the catalog'
+  },
+
+  nav: {
+    home: 'Home',
+    catalog: 'Catalog',
+    cart: 'Cart',
+    wishlist: 'Wishlist',
+    profile: 'Profile',
+    login: 'Log in',
+    register: 'Sign up',
+    logout: 'Log out',
+    greeting: 'Hello, {username}!',
+    cities: 'Cities',
+    hotels: 'Hotels',
+    clients: 'Clients',
+    orders: 'Orders',
+    reviews: 'Reviews',
+    promoCodes: 'Promo codes',
+    currencies: 'Currencies',
+    users: 'Users',
+    audit: 'Audit log',
+    auditLog: 'Audit log',
+    import: 'Import and export',
+    deletedTours: 'Deleted tours'
+  },
+
+  locale: {
+    label: 'Language',
+    names: {
+      ru: 'Русский',
+      en: 'English'
+    }
+  },
+
+  currency: {
+    label: 'Currency'
+  },
+
+  footer: {
+    copyright: 'Travel agency. All rights reserved.'
+  },
+
+  units: {
+    days: { one: '{count} day', other: '{count} days' }
+  },
+
+  errors: {
+    forbidden: 'Access denied',
+    notFound: 'Page not found',
+    notFoundText: 'Sorry, the page you requested does not exist.',
+    backHome: 'Back to the home page',
+    tourNotFound: 'Tour not found',
+    csrf: 'This form has expired. Reload the page and try again'
+  },
+
+  validation: {
+    required: 'This field is required',
+    email: 'Invalid email',
+    integer: 'Enter a whole number',
+    integerBetween: 'Enter a number from {min} to {max}',
+    integerMin: 'Enter a number of at least {min}',
+    integerMax: 'Enter a number of at most {max}',
+    number: 'Enter a number',
+    positive: 'The value must be greater than zero',
+    min: 'The value cannot be less than {min}',
+    maxLength: { one: 'At most {count} character', other: 'At most {count} characters' },
+    date: 'Enter a date',
+    oneOf: 'Choose a value from the list',
+    tooSmall: 'The value is too small',
+    tooLarge: 'The value is too large',
+    length: 'Invalid length',
+    format: 'Invalid format',
+    notUnique: 'This value is already in use',
+    invalid: 'Invalid value',
+    checkForm: 'Please check the form',
+    hotelCity: 'The hotel is in a different city',
+    hotelCityLocked: 'The city of a hotel with tours cannot be changed',
+    unknownCurrency: 'Unknown currency',
+    percentTooLarge: 'The discount cannot exceed 100%'
+  },
+
+  tour: {
+    name: 'Name',
+    description: 'Description',
+    price: 'Price',
+    duration: 'Duration',
+    city: 'City',
+    hotel: 'Hotel',
+    rating: 'Rating',
+    departure: 'Departure date',
+    roomType: 'Room type'
+  },
+
+  home: {
+    title: 'Home - Travel agency',
+    loadError: 'Failed to load tours',
+    greeting: 'Hello, {username}!',
+    noDescription: 'No description',
+    noImage: 'No image',
+    place: 'Location',
+    bookedBy: 'Booked by',
+    noClient: 'Not specified',
+    departures: 'Dates',
+    noTours: 'No tours available yet',
+    database: 'More... (coming soon)'
+  },
+
+  database: {
+    title: 'Tour database',
+    loadError: 'Failed to load the database'
+  },
+
+  catalog: {
+    title: 'Tour catalog',
+    loadError: 'Failed to load the catalog',
+    country: 'Country',
+    city: 'City',
+    all: 'All',
+    price: 'Price, {currency}',
+    duration: 'Duration, days',
+    from: 'from',
+    to: 'to',
+    hotel: 'Hotel',
+    anyHotel: 'Any',
+    starsFrom: '{stars}★ and up',
+    sort: 'Sort by',
+    sorts: {
+      newest: 'Newest first',
+      price_asc: 'Cheapest first',
+      price_desc: 'Most expensive first',
+      duration_asc: 'Shortest first',
+      duration_desc: 'Longest first',
+      rating_desc: 'Top rated'
+    },
+    apply: 'Show',
+    reset: 'Reset',
+    found: { one: '{count} tour found', other: '{count} tours found' },
+    notFound: 'No tours found',
+    reviewCount: { one: '{count} review', other: '{count} reviews' },
+    noRatings: 'no ratings yet',
+    noDepartures: 'No departure dates available',
+    seatsAvailable: { one: '{count} seat left', other: '{count} seats left' },
+    roomTypeOption: '{name}, up to {capacity} guests'
+  },
+
+  wishlist: {
+    title: 'Wishlist',
+    loadError: 'Failed to load the wishlist',
+    add: 'Add to wishlist',
+    remove: 'Remove from wishlist',
+    added: 'Tour added to the wishlist',
+    removed: 'Tour removed from the wishlist',
+    addFailed: 'Failed to add to the wishlist',
+    removeFailed: 'Failed to remove from the wishlist',
+    toggleFailed: 'Failed to update the wishlist',
+    priceDrops: 'Price drops',
+    priceDrop: '“{tour}”: {oldPrice} → {newPrice}',
+    chooseDate: 'Choose a date in the catalog',
+    empty: 'Your wishlist is empty. Mark tours you like with a heart in the catalog and we will let you know when they get cheaper.'
+  },
+
+  auth: {
+    loginTitle: 'Log in',
+    registerTitle: 'Sign up',
+    forgotTitle: 'Password recovery',
+    resetTitle: 'New password',
+    username: 'Username',
+    password: 'Password',
+    fullName: 'Full name',
+    phone: 'Phone',
+    accountEmail: 'Account email',
+    newPassword: 'New password',
+    passwordConfirm: 'Repeat password',
+    login: 'Log in',
+    register: 'Sign up',
+    noAccount: 'No account yet?',
+    forgotPassword: 'Forgot your password?',
+    sendLink: 'Send link',
+    backToLogin: 'Back to login',
+    savePassword: 'Save password',
+    registered: 'Registration complete. We have sent you an email with a confirmation link.',
+    emailVerified: 'Email confirmed',
+    resetSent: 'If an account with this email exists, we have sent a password reset link to it.',
+    passwordChanged: 'Password changed, log in with your new password',
+    passwordMismatch: 'Passwords do not match',
+    emailTaken: 'An account with this email already exists',
+    usernameTaken: 'This username is already taken',
+    disabled: 'The account is disabled',
+    invalidCredentials: 'Invalid username or password',
+    tooManyAttempts: 'Too many failed login attempts. Try again in {minutes} min.',
+    linkUsed: 'This link has already been used',
+    verifyLinkInvalid: 'The confirmation link is invalid or has expired',
+    resetLinkInvalid: 'The password reset link is invalid or has expired',
+    registerError: 'Registration failed',
+    loginError: 'Login failed',
+    verifyError: 'Failed to confirm the email',
+    sendError: 'Failed to send the email',
+    resetError: 'Password recovery failed',
+    logoutError: 'Could not log out'
+  },
+
+  cart: {
+    title: 'Cart',
+    loadError: 'Failed to load the cart',
+    add: 'Add to cart',
+    added: 'Tour added to the cart!',
+    addFailed: 'Failed to add to the cart',
+    remove: 'Remove from cart',
+    confirmRemove: 'Remove this tour from the cart?',
+    removed: 'Tour removed from the cart',
+    removeFailed: 'Failed to remove from the cart',
+    quantityUpdated: 'Quantity updated',
+    updateFailed: 'Failed to update the quantity',
+    invalidQuantity: 'Quantity must be a whole number of at least 1',
+    notEnoughSeats: { one: 'Only {count} seat left for this date', other: 'Only {count} seats left for this date' },
+    clear: 'Clear cart',
+    confirmClear: 'Remove all tours from the cart?',
+    cleared: 'Cart cleared',
+    clearFailed: 'Failed to clear the cart',
+    noDeparture: 'not selected',
+    roomType: '{name} (up to {capacity} guests)',
+    quantity: 'Quantity',
+    itemTotal: 'Total',
+    promoCode: 'Promo code',
+    promoNotApplied: 'not applied:',
+    removePromo: 'Remove promo code',
+    applyPromo: 'Apply',
+    subtotal: 'Subtotal: {amount}',
+    discount: 'Promo code {code} discount: −{amount}',
+    total: 'Total: {amount}',
+    baseCurrencyNote: 'The order is placed in {currency} at the current rate: {amount}',
+    checkout: 'Place order',
+    loginLink: 'Log in',
+    loginToCheckout: ' to place your order. Your cart will be kept',
+    empty: 'Your cart is empty',
+    chooseRoomType: 'Choose a room type',
+    chooseDeparture: 'Choose a departure date',
+    noSeats: 'No seats left for this date',
+    itemNotFound: 'Cart item not found',
+    tourNotFound: 'Tour not found'
+  },
+
+  promo: {
+    notFound: 'Promo code not found',
+    notStarted: 'The promo code is valid from {date}',
+    expired: 'The promo code has expired',
+    exhausted: 'The promo code is no longer valid',
+    minOrderTotal: 'The promo code applies to orders from {amount} {currency}',
+    notApplicable: 'The promo code does not apply to the tours in your cart',
+    applyError: 'Failed to apply the promo code',
+    removeError: 'Failed to remove the promo code'
+  },
+
+  orders: {
+    title: 'Orders',
+    loadError: 'Failed to load orders',
+    all: 'All',
+    statuses: {
+      pending: 'Awaiting confirmation',
+      confirmed: 'Confirmed',
+      paid: 'Paid',
+      cancelled: 'Cancelled',
+      completed: 'Completed'
+    },
+    number: 'No.',
+    date: 'Date',
+    user: 'User',
+    tours: 'Tours',
+    total: 'Total',
+    status: 'Status',
+    discountShort: 'discount {amount} ({code})',
+    empty: 'No orders',
+    promoNotApplied: 'Promo code {code} was not applied: {reason}. Remove it from the cart and try again',
+    promoFailed: '{reason}. Remove the promo code from the cart and try again',
+    departed: 'One of the selected dates has already departed. Remove it from your cart and try again',
+    soldOut: 'One of the selected dates has no seats left. Update your cart and try again',
+    checkoutError: 'Failed to place the order',
+    notFound: 'Order not found',
+    cannotCancel: 'This order cannot be cancelled',
+    cancelError: 'Failed to cancel the order',
+    invalidTransition: 'This order status change is not allowed',
+    statusChanged: 'The order status has already changed. Refresh the page',
+    updateError: 'Failed to update the order'
+  },
+
+  profile: {
+    title: 'My profile',
+    loadError: 'Failed to load the profile',
+    updateError: 'Failed to update the profile',
+    priceDrops: 'Tours in your wishlist got cheaper ({count}).',
+    viewPriceDrops: 'View',
+    userInfo: 'Account details',
+    emailNotVerified: 'Email {email} is not confirmed.',
+    resendVerification: 'Send the email again',
+    username: 'Username',
+    currentPassword: 'Current password (to change the password)',
+    save: 'Save changes',
+    myTours: 'My tours',
+    noTours: 'You have no booked tours yet',
+    browseTours: 'Browse tours',
+    myOrders: 'My orders',
+    order: 'Order No. {id} of {date}',
+    leaveReview: 'leave a review',
+    cancelOrder: 'Cancel order',
+    noOrders: 'You have no orders yet',
+    wrongPassword: 'Wrong current password',
+    emailTaken: 'This email is already used by another account',
+    usernameTaken: 'This username is already used by another account'
+  },
+
+  reviews: {
+    title: 'Reviews',
+    tourTitle: 'Reviews: {tour}',
+    loadError: 'Failed to load reviews',
+    all: 'All',
+    statuses: {
+      pending: 'Awaiting moderation',
+      approved: 'Published',
+      hidden: 'Hidden'
+    },
+    noRatings: 'No ratings yet',
+    yours: 'Your review',
+    leave: 'Leave a review',
+    ownStatus: 'Status: {status}. After you edit the review it will be moderated again.',
+    date: 'Date',
+    tour: 'Tour',
+    user: 'User',
+    rating: 'Rating',
+    text: 'Review',
+    status: 'Status',
+    submit: 'Submit',
+    anonymous: 'User',
+    noReviews: 'No reviews yet',
+    empty: 'No reviews',
+    approve: 'Publish',
+    hide: 'Hide',
+    notAllowed: 'You can review a tour only after a completed trip',
+    invalid: 'Give a rating from 1 to 5 and write a review',
+    saveError: 'Failed to save the review',
+    notFound: 'Review not found',
+    invalidStatus: 'Invalid review status',
+    moderateError: 'Failed to moderate the review'
+  },
+
+  import: {
+    title: 'Tour import',
+    heading: 'Tour import and export',
+    formatHelp: 'A CSV file (comma or semicolon separated) or a JSON array of objects with the fields:',
+    lookupHelp: 'Cities are matched by name (and country, if given), hotels by name. Missing ones are created: a new city needs a country, a new hotel needs a star rating.',
+    translationHelp: 'The nameEn and descriptionEn fields hold the English name and description and may be left empty.',
+    currencyHelp: 'The price currency is a code from the currency list; if it is empty, the price is in {currency}.',
+    check: 'Check file',
+    preview: { one: 'Preview ({count} row)', other: 'Preview ({count} rows)' },
+    tour: 'Tour',
+    days: 'Days',
+    errorsColumn: 'Errors',
+    willCreate: 'will be created',
+    fixErrors: 'Fix the errors in the file and upload it again: the import only runs as a whole.',
+    commit: 'Import tours ({count})',
+    imported: { one: '{count} tour imported.', other: '{count} tours imported.' },
+    export: 'Catalog export',
+    downloadCsv: 'Download CSV',
+    downloadJson: 'Download JSON',
+    noFile: 'Choose a file to import',
+    onlyCsvJson: 'Only CSV and JSON files are supported',
+    fileTooBig: 'File size must not exceed {size} MB',
+    uploadError: 'File upload error',
+    notArray: 'The JSON file must contain an array of records',
+    tooManyRows: 'The file has more than {max} rows',
+    readError: 'Could not read the file: {reason}',
+    previewError: 'Failed to parse the import file',
+    commitError: 'Import failed: the file has errors or the data has changed. Upload the file again',
+    exportError: 'Failed to export tours',
+    errors: {
+      notObject: 'The record must be an object with tour fields',
+      noName: 'The tour name is missing',
+      price: 'The price must be a positive number',
+      currency: 'Unknown currency {currency}',
+      duration: 'The duration must be a whole number of days',
+      noCity: 'The city is missing',
+      cityNotFound: 'City “{city}” not found; to create it, specify the country',
+      noHotel: 'The hotel is missing',
+      hotelNotFound: 'Hotel “{hotel}” not found; to create it, specify a star rating from 1 to 5',
+      hotelCity: 'Hotel “{hotel}” is in a different city'
+    }
+  },
+  images: {
+    onlyImages: 'Only JPEG, PNG, WebP and GIF images are allowed',
+    fileTooBig: 'File size must not exceed {size} MB',
+    tooMany: 'You can upload at most {count} images at a time',
+    uploadError: 'Upload error',
+    notImage: 'File “{file}” is not an image',
+    unsupportedFormat: 'The format of file “{file}” is not supported',
+    tooLarge: 'Image “{file}” is too large (at most {max}px per side)'
+  },
+  admin: {
+    loadError: 'Could not load data',
+    formError: 'Could not load the form',
+    chooseCity: 'Choose a city',
+    toursCount: 'Tours',
+    delete: {
+      title: {
+        city: 'Delete city',
+        hotel: 'Delete hotel',
+        client: 'Delete client'
+      },
+      intro: {
+        city: 'You are about to delete the city',
+        hotel: 'You are about to delete the hotel',
+        client: 'You are about to delete the client'
+      },
+      linkedTours: 'Tours linked to this record ({count}):',
+      question: 'What should happen to these tours?',
+      reassign: 'Move them to another record:',
+      detach: 'Keep the tours without a client',
+      deleteTours: 'Delete these tours together with the record',
+      notFound: 'Record not found',
+      chooseTarget: 'Choose the record to move the tours to',
+      chooseStrategy: 'Choose what to do with the tours',
+      error: 'Could not delete the record'
+    },
+    cities: {
+      title: 'Cities',
+      add: 'Add city',
+      edit: 'Edit city',
+      name: 'City name',
+      empty: 'No cities yet',
+      notFound: 'City not found',
+      loadError: 'Could not load cities',
+      addError: 'Could not add the city',
+      saveError: 'Could not save the city'
+    },
+    hotels: {
+      title: 'Hotels',
+      add: 'Add hotel',
+      edit: 'Edit hotel',
+      name: 'Hotel name',
+      stars: 'Stars',
+      starsCount: 'Number of stars',
+      address: 'Address',
+      roomTypes: 'Rooms ({count})',
+      empty: 'No hotels yet',
+      starsRange: 'Enter 1 to 5 stars',
+      notFound: 'Hotel not found',
+      loadError: 'Could not load hotels',
+      addError: 'Could not add the hotel',
+      saveError: 'Could not save the hotel'
+    },
+    clients: {
+      title: 'Clients',
+      add: 'Add client',
+      edit: 'Edit client',
+      linkAccounts: 'Link to user accounts',
+      name: 'Name',
+      clientName: 'Client name',
+      account: 'User account',
+      empty: 'No clients yet',
+      notFound: 'Client not found',
+      loadError: 'Could not load clients',
+      addError: 'Could not add the client',
+      saveError: 'Could not save the client'
+    },
+    clientAccounts: {
+      title: 'Clients and user accounts',
+      client: 'Client',
+      notLinked: 'Not linked',
+      userNotFound: 'User not found',
+      userTaken: 'This user is already linked to another client',
+      saveError: 'Could not link the client'
+    },
+    tours: {
+      add: 'Add tour',
+      edit: 'Edit tour',
+      name: 'Tour name',
+      nameEn: 'Name (English)',
+      descriptionEn: 'Description (English)',
+      currency: 'Price currency',
+      durationDays: 'Duration (days)',
+      chooseHotel: 'Choose a hotel',
+      chooseClient: 'Choose a client (optional)',
+      chooseCurrency: 'Choose a currency',
+      noClient: 'No client',
+      imagesHelp: 'Tour images (JPEG, PNG, WebP or GIF, up to 5 MB, at most 10 files):',
+      durationInvalid: 'Duration must be a whole number of days, at least one',
+      addError: 'Could not add the tour',
+      saveError: 'Could not save the tour',
+      deleteError: 'Could not delete the tour'
+    },
+    images: {
+      cover: 'Cover',
+      makeCover: 'Make cover',
+      moveLeft: 'Move left',
+      moveRight: 'Move right',
+      notFound: 'Image not found',
+      saveError: 'Could not update the gallery'
+    },
+    departures: {
+      title: 'Departure dates',
+      manage: 'Manage departure dates',
+      add: 'Add date',
+      seats: 'Number of seats',
+      sold: 'Sold',
+      empty: 'This tour has no departure dates yet',
+      back: 'Back to the tour',
+      seatsBelowBooked: 'Seats cannot be fewer than already sold ({count})',
+      hasBookings: 'A date with sold seats cannot be deleted',
+      notFound: 'Departure date not found',
+      loadError: 'Could not load departure dates',
+      addError: 'Could not add the departure date',
+      saveError: 'Could not save the departure date',
+      deleteError: 'Could not delete the departure date'
+    },
+    roomTypes: {
+      title: 'Room types',
+      add: 'Add room type',
+      name: 'Name',
+      namePlaceholder: 'Double',
+      capacity: 'Capacity',
+      capacityPeople: 'Capacity, people',
+      supplement: 'Supplement to the tour price per seat, {currency}',
+      supplementShort: 'Supplement, {currency}',
+      noCity: 'City not set',
+      empty: 'No room types yet, tours to this hotel are sold without a room choice',
+      back: 'Back to hotels',
+      notFound: 'Room type not found',
+      loadError: 'Could not load room types',
+      addError: 'Could not add the room type',
+      saveError: 'Could not save the room type',
+      deleteError: 'Could not delete the room type'
+    },
+    deletedTours: {
+      title: 'Deleted tours',
+      deletedAt: 'Deleted',
+      restore: 'Restore',
+      history: 'History',
+      empty: 'No deleted tours',
+      notFound: 'Deleted tour not found',
+      cannotRestore: 'The tour’s city or hotel was deleted or changed, so the tour cannot be restored',
+      loadError: 'Could not load deleted tours',
+      restoreError: 'Could not restore the tour'
+    }
+  },
+  promoCodes: {
+    title: 'Promo codes',
+    add: 'New promo code',
+    code: 'Code',
+    discount: 'Discount',
+    discountType: 'Discount type',
+    discountTypes: {
+      percent: 'Percentage',
+      fixed: 'Amount in base currency'
+    },
+    amount: 'Discount amount',
+    validity: 'Valid',
+    validFrom: 'Valid from',
+    validUntil: 'Valid until',
+    minTotalShort: 'Min. total',
+    minOrderTotal: 'Minimum order total, {currency}',
+    usageLimit: 'Usage limit',
+    usageLimitHelp: 'Empty means unlimited',
+    restrictions: 'Restrictions',
+    allTours: 'All tours',
+    onlyCities: 'Only for cities',
+    onlyTours: 'Only for tours',
+    scopeHelp: 'If no cities or tours are selected, the code applies to the whole cart',
+    used: 'Used',
+    usedOf: 'of {limit}',
+    create: 'Create',
+    empty: 'No promo codes yet',
+    chooseType: 'Choose a discount type',
+    untilBeforeFrom: 'The end date is before the start date',
+    codeTaken: 'A promo code with this code already exists',
+    loadError: 'Could not load promo codes',
+    addError: 'Could not create the promo code'
+  },
+  currencies: {
+    title: 'Currencies',
+    help: 'The rate is how many {base} one unit of the currency is worth. Cart and order totals are calculated in {base}.',
+    code: 'Code',
+    details: 'Name, symbol and rate',
+    add: 'Add currency',
+    namePlaceholder: 'Euro',
+    rate: 'Rate',
+    importTitle: 'Upload rates from a file',
+    importColumns: 'CSV or JSON with the columns',
+    importOptional: 'and optional',
+    importNew: 'New currencies will be added.',
+    upload: 'Upload',
+    imported: 'Rates uploaded: {updated} updated, {created} added',
+    noFile: 'Choose a file with rates',
+    codeRequired: 'Enter the currency code',
+    codeFormat: 'The currency code is three Latin letters',
+    nameRequired: 'Enter the currency name',
+    symbolRequired: 'Enter the currency symbol',
+    rateRequired: 'Enter the rate',
+    ratePositive: 'The rate must be greater than zero',
+    baseRateFixed: 'The base currency rate must be 1',
+    codeTaken: 'This currency already exists',
+    noRate: 'No rate for currency {code}',
+    notFound: 'Currency not found',
+    loadError: 'Could not load currencies',
+    addError: 'Could not add the currency',
+    saveError: 'Could not save the currency',
+    importError: 'Could not upload rates',
+    import: {
+      invalid: 'The rates file contains errors',
+      badCode: 'Row {row}: invalid currency code “{code}”',
+      badRate: 'Row {row}: the {code} rate must be a positive number',
+      baseRate: 'Row {row}: the base currency {code} rate must be 1'
+    }
+  },
+  roles: {
+    admin: 'Administrator',
+    manager: 'Manager',
+    support: 'Support',
+    client: 'Client'
+  },
+  users: {
+    title: 'Users',
+    all: 'All',
+    role: 'Role',
+    state: 'Status',
+    emailNotVerified: 'not verified',
+    active: 'Active',
+    you: 'this is you',
+    disabledSince: 'Blocked on {date}',
+    enable: 'Unblock',
+    disable: 'Block',
+    empty: 'No users',
+    notFound: 'User not found',
+    cannotEditSelf: 'You cannot change your own account',
+    invalidRole: 'Invalid role',
+    loadError: 'Could not load users',
+    roleError: 'Could not change the role',
+    disableError: 'Could not block the user',
+    enableError: 'Could not unblock the user'
+  },
+  audit: {
+    title: 'Change log',
+    entity: 'Object',
+    action: 'Action',
+    user: 'User',
+    from: 'From',
+    to: 'To',
+    all: 'All',
+    show: 'Show',
+    time: 'Time',
+    changes: 'Changes',
+    number: '#{id}',
+    empty: 'No entries',
+    loadError: 'Could not load the change log',
+    actions: {
+      create: 'Created',
+      update: 'Updated',
+      delete: 'Deleted',
+      restore: 'Restored'
+    },
+    entities: {
+      Tour: 'Tour',
+      Departure: 'Departure date',
+      TourImage: 'Tour photo',
+      City: 'City',
+      Hotel: 'Hotel',
+      RoomType: 'Room type',
+      Client: 'Client',
+      Order: 'Order',
+      Review: 'Review',
+      PromoCode: 'Promo code',
+      Currency: 'Currency',
+      User: 'User'
+    }
+  },
+
+  emails: {
+    subjects: {
+      registration: 'Welcome to SinkTravel',
+      'cart-reminder': 'The tour “{tourName}” is waiting in your cart',
+      'client-created': 'You are now a SinkTravel client',
+      'verify-email': 'Confirm your email for SinkTravel',
+      'password-reset': 'SinkTravel password reset',
+      'price-drop': 'The tour “{tourName}” is now cheaper'
+    }
+  },
+
+  api: {
+    tokenRequired: 'API token required',
+    tokenInvalid: 'Invalid API token',
+    tokenError: 'Could not issue the token',
+    revokeError: 'Could not revoke the token',
+    validationError: 'Validation error',
+    relatedNotFound: 'Related record not found',
+    notFound: 'Record not found',
+    inUse: 'The record is used by tours',
+    listError: 'Could not load the list',
+    readError: 'Could not load the record',
+    createError: 'Could not create the record',
+    updateError: 'Could not update the record',
+    deleteError: 'Could not delete the record',
+    methodNotFound: 'API method not found',
+    invalidJson: 'Malformed JSON',
+    internalError: 'Internal server error'
+  },
+  payments: {
+    title: 'Payment',
+    pay: 'Pay {amount}',
+    retry: 'Try again',
+    toOrders: 'Back to my orders',
+    resultTitle: 'Order payment',
+    lastAttempt: 'Payment: {status}, {date}',
+    statuses: {
+      pending: 'processing',
+      succeeded: 'paid',
+      failed: 'failed',
+      refunded: 'refunded'
+    },
+    results: {
+      pending: 'Your payment is being processed. This page will refresh automatically.',
+      succeeded: 'Payment successful. Thank you!',
+      failed: 'The payment failed.',
+      refunded: 'The payment has been refunded.'
+    },
+    reasons: {
+      cancelled: 'cancelled by the customer',
+      card_declined: 'the card was declined',
+      insufficient_funds: 'insufficient funds',
+      provider_error: 'the payment service is unavailable'
+    },
+    refund: 'Refund {date}: {status}',
+    refundStatuses: {
+      succeeded: 'completed',
+      failed: 'failed'
+    },
+    notPayable: 'This order cannot be paid',
+    providerError: 'The payment service is unavailable, please try again later',
+    refundFailed: 'Failed to refund payment #{id}; the order status was not changed',
+    invalidSignature: 'Invalid notification signature',
+    unknownProvider: 'Unknown payment provider',
+    notFound: 'Payment not found',
+    startError: 'Failed to start the payment',
+    loadError: 'Failed to load the payment',
+    webhookError: 'Failed to process the notification',
+    mock: {
+      title: 'Test payment',
+      cardNumber: 'Card number',
+      expiry: 'Expiry date (MM/YY)',
+      submit: 'Pay',
+      cancel: 'Cancel',
+      hint: 'This is a test page and no money is charged. Card 4242 4242 4242 4242 succeeds, 4000 0000 0000 0002 is declined, 4000 0000 0000 9995 has insufficient funds.',
+      invalidCard: 'Invalid card number',
+      invalidExpiry: 'Invalid expiry date',
+      invalidCvc: 'CVC must be 3 or 4 digits',
+      error: 'Test payment failed'
+    }
+  }
+};
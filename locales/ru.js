@@ -0,0 +1,776 @@
+// Русский каталог переводов — основной: ключи, которых нет в других языках, берутся отсюда.
+// Формы множественного числа: one — 1, 21; few — 2–4, 22–24; many — 5–20, 25–30
+module.exports = {
+  common: {
+    error: 'Ошибка',
+    save: 'Сохранить',
+    cancel: 'Отмена',
+    delete: 'Удалить',
+    edit: 'Изменить',
+    add: 'Добавить',
+    actions: 'Действия',
+    previous: 'Назад',
+    next: 'Вперёд',
+    yes: 'Да',
+    no: 'Нет',
+    toCatalog: 'Перейти в каталог'
+  },
+
+  nav: {
+    home: 'Главная',
+    catalog: 'Каталог',
+    cart: 'Корзина',
+    wishlist: 'Избранное',
+    profile: 'Профиль',
+    login: 'Войти',
+    register: 'Регистрация',
+    logout: 'Выйти',
+    greeting: 'Привет, {username}!',
+    cities: 'Города',
+    hotels: 'Отели',
+    clients: 'Клиенты',
+    orders: 'Заказы',
+    reviews: 'Отзывы',
+    promoCodes: 'Промокоды',
+    currencies: 'Валюты',
+    users: 'Пользователи',
+    audit: 'Журнал',
+    auditLog: 'Журнал изменений',
+    import: 'Импорт и экспорт',
+    deletedTours: 'Удалённые туры'
+  },
+
+  locale: {
+    label: 'Язык',
+    names: {
+      ru: 'Русский',
+      en: 'English'
+    }
+  },
+
+  currency: {
+    label: 'Валюта'
+  },
+
+  footer: {
+    copyright: 'Туристическое агентство. Все права защищены.'
+  },
+
+  units: {
+    days: { one: '{count} день', few: '{count} дня', many: '{count} дней', other: '{count} дня' }
+  },
+
+  errors: {
+    forbidden: 'Доступ запрещён',
+    notFound: 'Страница не найдена',
+    notFoundText: 'К сожалению, запрашиваемая страница не существует.',
+    backHome: 'Вернуться на главную',
+    tourNotFound: 'Тур не найден',
+    csrf: 'Срок действия формы истёк. Обновите страницу и повторите действие'
+  },
+
+  validation: {
+    required: 'Заполните поле',
+    email: 'Некорректный email',
+    integer: 'Введите целое число',
+    integerBetween: 'Введите число от {min} до {max}',
+    integerMin: 'Введите число от {min}',
+    integerMax: 'Введите число до {max}',
+    number: 'Введите число',
+    positive: 'Значение должно быть больше нуля',
+    min: 'Значение не может быть меньше {min}',
+    maxLength: { one: 'Не длиннее {count} символа', few: 'Не длиннее {count} символов', many: 'Не длиннее {count} символов', other: 'Не длиннее {count} символа' },
+    date: 'Введите дату',
+    oneOf: 'Выберите значение из списка',
+    tooSmall: 'Значение слишком маленькое',
+    tooLarge: 'Значение слишком большое',
+    length: 'Недопустимая длина',
+    format: 'Недопустимый формат',
+    notUnique: 'Такое значение уже используется',
+    invalid: 'Недопустимое значение',
+    checkForm: 'Проверьте правильность заполнения формы',
+    hotelCity: 'Отель находится в другом городе',
+    hotelCityLocked: 'Нельзя сменить город отеля, к которому привязаны туры',
+    unknownCurrency: 'Неизвестная валюта',
+    percentTooLarge: 'Скидка не может превышать 100%'
+  },
+
+  tour: {
+    name: 'Название',
+    description: 'Описание',
+    price: 'Цена',
+    duration: 'Длительность',
+    city: 'Город',
+    hotel: 'Отель',
+    rating: 'Рейтинг',
+    departure: 'Дата отправления',
+    roomType: 'Тип номера'
+  },
+
+  home: {
+    title: 'Главная - Туристическое агентство',
+    loadError: 'Ошибка загрузки туров',
+    greeting: 'Здравствуйте, {username}!',
+    noDescription: 'Нет описания',
+    noImage: 'Нет изображения',
+    place: 'Место',
+    bookedBy: 'Забронировано',
+    noClient: 'Не указан',
+    departures: 'Даты',
+    noTours: 'Пока нет доступных туров',
+    database: 'Подробнее... (скоро)'
+  },
+
+  database: {
+    title: 'База данных туров',
+    loadError: 'Ошибка загрузки базы данных'
+  },
+
+  catalog: {
+    title: 'Каталог туров',
+    loadError: 'Ошибка загрузки каталога',
+    country: 'Страна',
+    city: 'Город',
+    all: 'Все',
+    price: 'Цена, {currency}',
+    duration: 'Длительность, дней',
+    from: 'от',
+    to: 'до',
+    hotel: 'Отель',
+    anyHotel: 'Любой',
+    starsFrom: 'от {stars}★',
+    sort: 'Сортировка',
+    sorts: {
+      newest: 'Сначала новые',
+      price_asc: 'Сначала дешёвые',
+      price_desc: 'Сначала дорогие',
+      duration_asc: 'Сначала короткие',
+      duration_desc: 'Сначала длинные',
+      rating_desc: 'По рейтингу'
+    },
+    apply: 'Показать',
+    reset: 'Сбросить',
+    found: 'Найдено туров: {count}',
+    notFound: 'Туры не найдены',
+    reviewCount: 'отзывов: {count}',
+    noRatings: 'пока нет оценок',
+    noDepartures: 'Нет доступных дат отправления',
+    seatsAvailable: 'свободно мест: {count}',
+    roomTypeOption: '{name}, до {capacity} чел.'
+  },
+
+  wishlist: {
+    title: 'Избранное',
+    loadError: 'Ошибка загрузки избранного',
+    add: 'В избранное',
+    remove: 'Убрать из избранного',
+    added: 'Тур добавлен в избранное',
+    removed: 'Тур удалён из избранного',
+    addFailed: 'Ошибка добавления в избранное',
+    removeFailed: 'Ошибка удаления из избранного',
+    toggleFailed: 'Ошибка при изменении избранного',
+    priceDrops: 'Снижение цен',
+    priceDrop: '«{tour}»: {oldPrice} → {newPrice}',
+    chooseDate: 'Выбрать дату в каталоге',
+    empty: 'В избранном пока нет туров. Отмечайте понравившиеся туры сердечком в каталоге — мы сообщим, если они подешевеют.'
+  },
+
+  auth: {
+    loginTitle: 'Вход в систему',
+    registerTitle: 'Регистрация',
+    forgotTitle: 'Восстановление пароля',
+    resetTitle: 'Новый пароль',
+    username: 'Логин',
+    password: 'Пароль',
+    fullName: 'Имя и фамилия',
+    phone: 'Телефон',
+    accountEmail: 'Email учётной записи',
+    newPassword: 'Новый пароль',
+    passwordConfirm: 'Повторите пароль',
+    login: 'Войти',
+    register: 'Зарегистрироваться',
+    noAccount: 'Нет аккаунта?',
+    forgotPassword: 'Забыли пароль?',
+    sendLink: 'Отправить ссылку',
+    backToLogin: 'Вернуться ко входу',
+    savePassword: 'Сохранить пароль',
+    registered: 'Регистрация завершена. Мы отправили письмо со ссылкой для подтверждения email.',
+    emailVerified: 'Email подтверждён',
+    resetSent: 'Если учётная запись с таким email существует, мы отправили на него ссылку для сброса пароля.',
+    passwordChanged: 'Пароль изменён, войдите с новым паролем',
+    passwordMismatch: 'Пароли не совпадают',
+    emailTaken: 'Учётная запись с таким email уже существует',
+    usernameTaken: 'Пользователь с таким логином уже существует',
+    disabled: 'Учётная запись заблокирована',
+    invalidCredentials: 'Неверный логин или пароль',
+    tooManyAttempts: 'Слишком много неудачных попыток входа. Попробуйте снова через {minutes} мин.',
+    linkUsed: 'Ссылка уже использована',
+    verifyLinkInvalid: 'Ссылка подтверждения недействительна или устарела',
+    resetLinkInvalid: 'Ссылка для сброса пароля недействительна или устарела',
+    registerError: 'Ошибка регистрации',
+    loginError: 'Ошибка входа',
+    verifyError: 'Ошибка подтверждения email',
+    sendError: 'Ошибка отправки письма',
+    resetError: 'Ошибка восстановления пароля',
+    logoutError: 'Ошибка выхода из системы'
+  },
+
+  cart: {
+    title: 'Корзина',
+    loadError: 'Ошибка загрузки корзины',
+    add: 'Добавить в корзину',
+    added: 'Тур добавлен в корзину!',
+    addFailed: 'Ошибка при добавлении в корзину',
+    remove: 'Удалить из корзины',
+    confirmRemove: 'Удалить тур из корзины?',
+    removed: 'Тур удалён из корзины',
+    removeFailed: 'Ошибка удаления из корзины',
+    quantityUpdated: 'Количество изменено',
+    updateFailed: 'Ошибка изменения количества',
+    invalidQuantity: 'Количество должно быть целым числом не меньше 1',
+    notEnoughSeats: 'На эту дату свободно мест: {count}',
+    clear: 'Очистить корзину',
+    confirmClear: 'Удалить из корзины все туры?',
+    cleared: 'Корзина очищена',
+    clearFailed: 'Ошибка очистки корзины',
+    noDeparture: 'не выбрана',
+    roomType: '{name} (до {capacity} чел.)',
+    quantity: 'Количество',
+    itemTotal: 'Итого',
+    promoCode: 'Промокод',
+    promoNotApplied: 'не применён:',
+    removePromo: 'Убрать промокод',
+    applyPromo: 'Применить',
+    subtotal: 'Сумма без скидки: {amount}',
+    discount: 'Скидка по промокоду {code}: −{amount}',
+    total: 'Общая сумма: {amount}',
+    baseCurrencyNote: 'Заказ оформляется в {currency} по текущему курсу: {amount}',
+    checkout: 'Оформить заказ',
+    loginLink: 'Войдите',
+    loginToCheckout: ', чтобы оформить заказ. Корзина сохранится',
+    empty: 'Корзина пуста',
+    chooseRoomType: 'Выберите тип номера',
+    chooseDeparture: 'Выберите дату отправления',
+    noSeats: 'На эту дату не осталось мест',
+    itemNotFound: 'Позиция корзины не найдена',
+    tourNotFound: 'Тур не найден'
+  },
+
+  promo: {
+    notFound: 'Промокод не найден',
+    notStarted: 'Промокод действует с {date}',
+    expired: 'Срок действия промокода истёк',
+    exhausted: 'Промокод больше не действует',
+    minOrderTotal: 'Промокод действует для заказов от {amount} {currency}',
+    notApplicable: 'Промокод не распространяется на туры в корзине',
+    applyError: 'Ошибка применения промокода',
+    removeError: 'Ошибка отмены промокода'
+  },
+
+  orders: {
+    title: 'Заказы',
+    loadError: 'Ошибка загрузки заказов',
+    all: 'Все',
+    statuses: {
+      pending: 'Ожидает подтверждения',
+      confirmed: 'Подтверждён',
+      paid: 'Оплачен',
+      cancelled: 'Отменён',
+      completed: 'Завершён'
+    },
+    number: '№',
+    date: 'Дата',
+    user: 'Пользователь',
+    tours: 'Туры',
+    total: 'Сумма',
+    status: 'Статус',
+    discountShort: 'скидка {amount} ({code})',
+    empty: 'Заказов нет',
+    promoNotApplied: 'Промокод {code} не применён: {reason}. Уберите его в корзине и попробуйте снова',
+    promoFailed: '{reason}. Уберите промокод в корзине и попробуйте снова',
+    departed: 'Тур на одну из выбранных дат уже отправился. Уберите её из корзины и попробуйте снова',
+    soldOut: 'На одну из выбранных дат не осталось мест. Измените корзину и попробуйте снова',
+    checkoutError: 'Ошибка оформления заказа',
+    notFound: 'Заказ не найден',
+    cannotCancel: 'Этот заказ нельзя отменить',
+    cancelError: 'Ошибка отмены заказа',
+    invalidTransition: 'Недопустимая смена статуса заказа',
+    statusChanged: 'Статус заказа уже изменился. Обновите страницу',
+    updateError: 'Ошибка обновления заказа'
+  },
+
+  profile: {
+    title: 'Мой профиль',
+    loadError: 'Ошибка загрузки профиля',
+    updateError: 'Ошибка обновления профиля',
+    priceDrops: 'Туры из избранного подешевели ({count}).',
+    viewPriceDrops: 'Посмотреть',
+    userInfo: 'Информация о пользователе',
+    emailNotVerified: 'Email {email} не подтверждён.',
+    resendVerification: 'Отправить письмо ещё раз',
+    username: 'Имя пользователя',
+    currentPassword: 'Текущий пароль (для смены пароля)',
+    save: 'Сохранить изменения',
+    myTours: 'Мои туры',
+    noTours: 'У вас пока нет забронированных туров',
+    browseTours: 'Посмотреть туры',
+    myOrders: 'Мои заказы',
+    order: 'Заказ №{id} от {date}',
+    leaveReview: 'оставить отзыв',
+    cancelOrder: 'Отменить заказ',
+    noOrders: 'У вас пока нет заказов',
+    wrongPassword: 'Неверный текущий пароль',
+    emailTaken: 'Этот email уже занят другой учётной записью',
+    usernameTaken: 'Этот логин уже занят другой учётной записью'
+  },
+
+  reviews: {
+    title: 'Отзывы',
+    tourTitle: 'Отзывы: {tour}',
+    loadError: 'Ошибка загрузки отзывов',
+    all: 'Все',
+    statuses: {
+      pending: 'На модерации',
+      approved: 'Опубликован',
+      hidden: 'Скрыт'
+    },
+    noRatings: 'Оценок пока нет',
+    yours: 'Ваш отзыв',
+    leave: 'Оставить отзыв',
+    ownStatus: 'Статус: {status}. После изменения отзыв снова пройдёт модерацию.',
+    date: 'Дата',
+    tour: 'Тур',
+    user: 'Пользователь',
+    rating: 'Оценка',
+    text: 'Отзыв',
+    status: 'Статус',
+    submit: 'Отправить',
+    anonymous: 'Пользователь',
+    noReviews: 'Отзывов пока нет',
+    empty: 'Отзывов нет',
+    approve: 'Опубликовать',
+    hide: 'Скрыть',
+    notAllowed: 'Отзыв можно оставить только после завершённой поездки по этому туру',
+    invalid: 'Укажите оценку от 1 до 5 и текст отзыва',
+    saveError: 'Ошибка сохранения отзыва',
+    notFound: 'Отзыв не найден',
+    invalidStatus: 'Недопустимый статус отзыва',
+    moderateError: 'Ошибка модерации отзыва'
+  },
+
+  import: {
+    title: 'Импорт туров',
+    heading: 'Импорт и экспорт туров',
+    formatHelp: 'Файл CSV (разделитель — запятая или точка с запятой) или JSON-массив объектов с полями:',
+    lookupHelp: 'Города ищутся по названию (и стране, если указана), отели — по названию. Отсутствующие будут созданы: для нового города нужна страна, для нового отеля — звёздность.',
+    translationHelp: 'Поля nameEn и descriptionEn — английский перевод названия и описания, их можно не заполнять.',
+    currencyHelp: 'Валюта цены — код из справочника валют; если не указана, цена считается в {currency}.',
+    check: 'Проверить файл',
+    preview: {
+      one: 'Предварительный просмотр ({count} строка)',
+      few: 'Предварительный просмотр ({count} строки)',
+      many: 'Предварительный просмотр ({count} строк)',
+      other: 'Предварительный просмотр ({count} строки)'
+    },
+    tour: 'Тур',
+    days: 'Дней',
+    errorsColumn: 'Ошибки',
+    willCreate: 'будет создан',
+    fixErrors: 'Исправьте ошибки в файле и загрузите его снова — импорт выполняется только целиком.',
+    commit: 'Импортировать туры ({count})',
+    imported: 'Импортировано туров: {count}.',
+    export: 'Экспорт каталога',
+    downloadCsv: 'Скачать CSV',
+    downloadJson: 'Скачать JSON',
+    noFile: 'Выберите файл для импорта',
+    onlyCsvJson: 'Поддерживаются только файлы CSV и JSON',
+    fileTooBig: 'Размер файла не должен превышать {size} МБ',
+    uploadError: 'Ошибка загрузки файла',
+    notArray: 'JSON-файл должен содержать массив записей',
+    tooManyRows: 'В файле больше {max} строк',
+    readError: 'Не удалось прочитать файл: {reason}',
+    previewError: 'Ошибка разбора файла импорта',
+    commitError: 'Импорт не выполнен: файл содержит ошибки или данные изменились. Загрузите файл ещё раз',
+    exportError: 'Ошибка экспорта туров',
+    errors: {
+      notObject: 'Запись должна быть объектом с полями тура',
+      noName: 'Не указано название тура',
+      price: 'Цена должна быть положительным числом',
+      currency: 'Неизвестная валюта {currency}',
+      duration: 'Длительность должна быть целым числом дней',
+      noCity: 'Не указан город',
+      cityNotFound: 'Город «{city}» не найден; чтобы создать его, укажите страну',
+      noHotel: 'Не указан отель',
+      hotelNotFound: 'Отель «{hotel}» не найден; чтобы создать его, укажите звёздность от 1 до 5',
+      hotelCity: 'Отель «{hotel}» находится в другом городе'
+    }
+  },
+  images: {
+    onlyImages: 'Разрешены только изображения JPEG, PNG, WebP и GIF',
+    fileTooBig: 'Размер файла не должен превышать {size} МБ',
+    tooMany: 'Можно загрузить не более {count} изображений за раз',
+    uploadError: 'Ошибка загрузки',
+    notImage: 'Файл «{file}» не является изображением',
+    unsupportedFormat: 'Формат файла «{file}» не поддерживается',
+    tooLarge: 'Изображение «{file}» слишком большое (максимум {max}px по стороне)'
+  },
+  admin: {
+    loadError: 'Ошибка загрузки данных',
+    formError: 'Ошибка загрузки формы',
+    chooseCity: 'Выберите город',
+    toursCount: 'Туров',
+    delete: {
+      title: {
+        city: 'Удалить город',
+        hotel: 'Удалить отель',
+        client: 'Удалить клиента'
+      },
+      intro: {
+        city: 'Вы собираетесь удалить город',
+        hotel: 'Вы собираетесь удалить отель',
+        client: 'Вы собираетесь удалить клиента'
+      },
+      linkedTours: 'С этой записью связаны туры ({count}):',
+      question: 'Что сделать с этими турами?',
+      reassign: 'Перенести на другую запись:',
+      detach: 'Оставить туры без клиента',
+      deleteTours: 'Удалить эти туры вместе с записью',
+      notFound: 'Запись не найдена',
+      chooseTarget: 'Выберите запись, на которую нужно перенести туры',
+      chooseStrategy: 'Выберите, что сделать с турами',
+      error: 'Ошибка удаления записи'
+    },
+    cities: {
+      title: 'Города',
+      add: 'Добавить город',
+      edit: 'Редактировать город',
+      name: 'Название города',
+      empty: 'Городов пока нет',
+      notFound: 'Город не найден',
+      loadError: 'Ошибка загрузки городов',
+      addError: 'Ошибка добавления города',
+      saveError: 'Ошибка сохранения города'
+    },
+    hotels: {
+      title: 'Отели',
+      add: 'Добавить отель',
+      edit: 'Редактировать отель',
+      name: 'Название отеля',
+      stars: 'Звёзды',
+      starsCount: 'Количество звёзд',
+      address: 'Адрес',
+      roomTypes: 'Номера ({count})',
+      empty: 'Отелей пока нет',
+      starsRange: 'Укажите от 1 до 5 звёзд',
+      notFound: 'Отель не найден',
+      loadError: 'Ошибка загрузки отелей',
+      addError: 'Ошибка добавления отеля',
+      saveError: 'Ошибка сохранения отеля'
+    },
+    clients: {
+      title: 'Клиенты',
+      add: 'Добавить клиента',
+      edit: 'Редактировать клиента',
+      linkAccounts: 'Привязка к учётным записям',
+      name: 'Имя',
+      clientName: 'Имя клиента',
+      account: 'Учётная запись',
+      empty: 'Клиентов пока нет',
+      notFound: 'Клиент не найден',
+      loadError: 'Ошибка загрузки клиентов',
+      addError: 'Ошибка добавления клиента',
+      saveError: 'Ошибка сохранения клиента'
+    },
+    clientAccounts: {
+      title: 'Клиенты и учётные записи',
+      client: 'Клиент',
+      notLinked: 'Не привязан',
+      userNotFound: 'Пользователь не найден',
+      userTaken: 'Этот пользователь уже привязан к другому клиенту',
+      saveError: 'Ошибка привязки клиента'
+    },
+    tours: {
+      add: 'Добавить тур',
+      edit: 'Редактировать тур',
+      name: 'Название тура',
+      nameEn: 'Название (English)',
+      descriptionEn: 'Описание (English)',
+      currency: 'Валюта цены',
+      durationDays: 'Длительность (дней)',
+      chooseHotel: 'Выберите отель',
+      chooseClient: 'Выберите клиента (необязательно)',
+      chooseCurrency: 'Выберите валюту',
+      noClient: 'Без клиента',
+      imagesHelp: 'Изображения тура (JPEG, PNG, WebP или GIF, до 5 МБ, не более 10 файлов):',
+      durationInvalid: 'Длительность — целое число дней, не меньше одного',
+      addError: 'Ошибка добавления тура',
+      saveError: 'Ошибка сохранения тура',
+      deleteError: 'Ошибка удаления тура'
+    },
+    images: {
+      cover: 'Обложка',
+      makeCover: 'Обложка',
+      moveLeft: 'Переместить левее',
+      moveRight: 'Переместить правее',
+      notFound: 'Изображение не найдено',
+      saveError: 'Ошибка изменения галереи'
+    },
+    departures: {
+      title: 'Даты отправления',
+      manage: 'Управление датами отправления',
+      add: 'Добавить дату',
+      seats: 'Количество мест',
+      sold: 'Продано',
+      empty: 'Для этого тура ещё нет дат отправления',
+      back: 'Вернуться к редактированию тура',
+      seatsBelowBooked: 'Количество мест не может быть меньше проданных ({count})',
+      hasBookings: 'Нельзя удалить дату, на которую уже проданы места',
+      notFound: 'Дата отправления не найдена',
+      loadError: 'Ошибка загрузки дат отправления',
+      addError: 'Ошибка добавления даты отправления',
+      saveError: 'Ошибка сохранения даты отправления',
+      deleteError: 'Ошибка удаления даты отправления'
+    },
+    roomTypes: {
+      title: 'Типы номеров',
+      add: 'Добавить тип номера',
+      name: 'Название',
+      namePlaceholder: 'Двухместный',
+      capacity: 'Вместимость',
+      capacityPeople: 'Вместимость, чел.',
+      supplement: 'Доплата к цене тура за место, {currency}',
+      supplementShort: 'Доплата, {currency}',
+      noCity: 'Город не указан',
+      empty: 'Типы номеров не заданы, туры в этот отель продаются без выбора номера',
+      back: 'Вернуться к списку отелей',
+      notFound: 'Тип номера не найден',
+      loadError: 'Ошибка загрузки типов номеров',
+      addError: 'Ошибка добавления типа номера',
+      saveError: 'Ошибка сохранения типа номера',
+      deleteError: 'Ошибка удаления типа номера'
+    },
+    deletedTours: {
+      title: 'Удалённые туры',
+      deletedAt: 'Удалён',
+      restore: 'Восстановить',
+      history: 'История',
+      empty: 'Удалённых туров нет',
+      notFound: 'Удалённый тур не найден',
+      cannotRestore: 'Город или отель тура удалены либо изменены — восстановить тур нельзя',
+      loadError: 'Ошибка загрузки удалённых туров',
+      restoreError: 'Ошибка восстановления тура'
+    }
+  },
+  promoCodes: {
+    title: 'Промокоды',
+    add: 'Новый промокод',
+    code: 'Код',
+    discount: 'Скидка',
+    discountType: 'Тип скидки',
+    discountTypes: {
+      percent: 'Процент',
+      fixed: 'Сумма в базовой валюте'
+    },
+    amount: 'Размер скидки',
+    validity: 'Срок действия',
+    validFrom: 'Действует с',
+    validUntil: 'Действует по',
+    minTotalShort: 'Мин. сумма',
+    minOrderTotal: 'Минимальная сумма заказа, {currency}',
+    usageLimit: 'Лимит использований',
+    usageLimitHelp: 'Пусто — без ограничений',
+    restrictions: 'Ограничения',
+    allTours: 'Все туры',
+    onlyCities: 'Только для городов',
+    onlyTours: 'Только для туров',
+    scopeHelp: 'Если не выбраны ни города, ни туры, код действует на всю корзину',
+    used: 'Использован',
+    usedOf: 'из {limit}',
+    create: 'Создать',
+    empty: 'Промокодов пока нет',
+    chooseType: 'Выберите тип скидки',
+    untilBeforeFrom: 'Дата окончания раньше даты начала действия',
+    codeTaken: 'Промокод с таким кодом уже существует',
+    loadError: 'Ошибка загрузки промокодов',
+    addError: 'Ошибка создания промокода'
+  },
+  currencies: {
+    title: 'Валюты',
+    help: 'Курс — сколько {base} стоит одна единица валюты. Итоги корзины и заказы считаются в {base}.',
+    code: 'Код',
+    details: 'Название, обозначение и курс',
+    add: 'Добавить валюту',
+    namePlaceholder: 'Евро',
+    rate: 'Курс',
+    importTitle: 'Загрузить курсы из файла',
+    importColumns: 'CSV или JSON с колонками',
+    importOptional: 'и необязательными',
+    importNew: 'Новые валюты будут добавлены.',
+    upload: 'Загрузить',
+    imported: 'Курсы загружены: обновлено {updated}, добавлено {created}',
+    noFile: 'Выберите файл с курсами',
+    codeRequired: 'Укажите код валюты',
+    codeFormat: 'Код валюты — три латинские буквы',
+    nameRequired: 'Укажите название валюты',
+    symbolRequired: 'Укажите обозначение валюты',
+    rateRequired: 'Укажите курс',
+    ratePositive: 'Курс должен быть больше нуля',
+    baseRateFixed: 'Курс базовой валюты должен быть равен 1',
+    codeTaken: 'Такая валюта уже есть',
+    noRate: 'Нет курса для валюты {code}',
+    notFound: 'Валюта не найдена',
+    loadError: 'Ошибка загрузки валют',
+    addError: 'Ошибка добавления валюты',
+    saveError: 'Ошибка сохранения валюты',
+    importError: 'Ошибка загрузки курсов',
+    import: {
+      invalid: 'Файл с курсами содержит ошибки',
+      badCode: 'Строка {row}: неверный код валюты «{code}»',
+      badRate: 'Строка {row}: курс {code} должен быть положительным числом',
+      baseRate: 'Строка {row}: курс базовой валюты {code} должен быть равен 1'
+    }
+  },
+  roles: {
+    admin: 'Администратор',
+    manager: 'Менеджер',
+    support: 'Поддержка',
+    client: 'Клиент'
+  },
+  users: {
+    title: 'Пользователи',
+    all: 'Все',
+    role: 'Роль',
+    state: 'Состояние',
+    emailNotVerified: 'не подтверждён',
+    active: 'Активна',
+    you: 'это вы',
+    disabledSince: 'Заблокирована {date}',
+    enable: 'Разблокировать',
+    disable: 'Заблокировать',
+    empty: 'Пользователей нет',
+    notFound: 'Пользователь не найден',
+    cannotEditSelf: 'Нельзя изменить собственную учётную запись',
+    invalidRole: 'Недопустимая роль',
+    loadError: 'Ошибка загрузки пользователей',
+    roleError: 'Ошибка изменения роли',
+    disableError: 'Ошибка блокировки пользователя',
+    enableError: 'Ошибка разблокировки пользователя'
+  },
+  audit: {
+    title: 'Журнал изменений',
+    entity: 'Объект',
+    action: 'Действие',
+    user: 'Пользователь',
+    from: 'С',
+    to: 'По',
+    all: 'Все',
+    show: 'Показать',
+    time: 'Время',
+    changes: 'Изменения',
+    number: '№{id}',
+    empty: 'Записей нет',
+    loadError: 'Ошибка загрузки журнала',
+    actions: {
+      create: 'Создание',
+      update: 'Изменение',
+      delete: 'Удаление',
+      restore: 'Восстановление'
+    },
+    entities: {
+      Tour: 'Тур',
+      Departure: 'Дата отправления',
+      TourImage: 'Фото тура',
+      City: 'Город',
+      Hotel: 'Отель',
+      RoomType: 'Тип номера',
+      Client: 'Клиент',
+      Order: 'Заказ',
+      Review: 'Отзыв',
+      PromoCode: 'Промокод',
+      Currency: 'Валюта',
+      User: 'Пользователь'
+    }
+  },
+
+  emails: {
+    subjects: {
+      registration: 'Добро пожаловать в SinkTravel',
+      'cart-reminder': 'Тур «{tourName}» ждёт вас в корзине',
+      'client-created': 'Вы стали клиентом SinkTravel',
+      'verify-email': 'Подтвердите email в SinkTravel',
+      'password-reset': 'Сброс пароля в SinkTravel',
+      'price-drop': 'Тур «{tourName}» подешевел'
+    }
+  },
+
+  api: {
+    tokenRequired: 'Требуется API-токен',
+    tokenInvalid: 'Недействительный API-токен',
+    tokenError: 'Ошибка выдачи токена',
+    revokeError: 'Ошибка отзыва токена',
+    validationError: 'Ошибка валидации',
+    relatedNotFound: 'Связанная запись не найдена',
+    notFound: 'Запись не найдена',
+    inUse: 'Запись используется в турах',
+    listError: 'Ошибка загрузки списка',
+    readError: 'Ошибка загрузки записи',
+    createError: 'Ошибка создания записи',
+    updateError: 'Ошибка обновления записи',
+    deleteError: 'Ошибка удаления записи',
+    methodNotFound: 'Метод API не найден',
+    invalidJson: 'Некорректный JSON',
+    internalError: 'Внутренняя ошибка сервера'
+  },
+  payments: {
+    title: 'Оплата',
+    pay: 'Оплатить {amount}',
+    retry: 'Попробовать ещё раз',
+    toOrders: 'К моим заказам',
+    resultTitle: 'Оплата заказа',
+    lastAttempt: 'Оплата: {status}, {date}',
+    statuses: {
+      pending: 'обрабатывается',
+      succeeded: 'оплачено',
+      failed: 'не прошла',
+      refunded: 'возвращена'
+    },
+    results: {
+      pending: 'Оплата обрабатывается. Страница обновится автоматически.',
+      succeeded: 'Оплата прошла успешно. Спасибо!',
+      failed: 'Оплата не прошла.',
+      refunded: 'Оплата возвращена.'
+    },
+    reasons: {
+      cancelled: 'оплата отменена покупателем',
+      card_declined: 'банк отклонил карту',
+      insufficient_funds: 'недостаточно средств',
+      provider_error: 'платёжный сервис недоступен'
+    },
+    refund: 'Возврат {date}: {status}',
+    refundStatuses: {
+      succeeded: 'выполнен',
+      failed: 'ошибка'
+    },
+    notPayable: 'Этот заказ нельзя оплатить',
+    providerError: 'Платёжный сервис недоступен, попробуйте позже',
+    refundFailed: 'Не удалось вернуть оплату №{id}, статус заказа не изменён',
+    invalidSignature: 'Неверная подпись уведомления',
+    unknownProvider: 'Неизвестный платёжный провайдер',
+    notFound: 'Оплата не найдена',
+    startError: 'Ошибка перехода к оплате',
+    loadError: 'Ошибка загрузки оплаты',
+    webhookError: 'Ошибка обработки уведомления',
+    mock: {
+      title: 'Тестовая оплата',
+      cardNumber: 'Номер карты',
+      expiry: 'Срок действия (ММ/ГГ)',
+      submit: 'Оплатить',
+      cancel: 'Отменить',
+      hint: 'Это тестовая страница, деньги не списываются. Карта 4242 4242 4242 4242 проходит, 4000 0000 0000 0002 отклоняется, 4000 0000 0000 9995 — недостаточно средств.',
+      invalidCard: 'Неверный номер карты',
+      invalidExpiry: 'Неверный срок действия',
+      invalidCvc: 'CVC — 3 или 4 цифры',
+      error: 'Ошибка тестовой оплаты'
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const { ApiToken, User, AuditLog } = require('../models');
+
+const requireApiToken = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ success: false, message: req.t('api.tokenRequired') });
+    }
+
+    const apiToken = await ApiToken.findOne({
+      where: { tokenHash: ApiToken.hash(token) },
+      include: User
+    });
+    if (!apiToken || !apiToken.User || apiToken.User.disabledAt) {
+      return res.status(401).json({ success: false, message: req.t('api.tokenInvalid') });
+    }
+
+    await apiToken.update({ lastUsedAt: new Date() });
+    req.apiToken = apiToken;
+    req.apiUser = {
+      id: apiToken.User.id,
+      username: apiToken.User.username,
+      role: apiToken.User.role
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Те же права, что и у requirePermission для сессий
+const requireApiPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.apiUser || !User.can(req.apiUser.role, permission)) {
+      return res.status(403).json({ success: false, message: req.t('errors.forbidden') });
+    }
+    AuditLog.runAs(req.apiUser, next);
+  };
+};
+
+module.exports = {
+  requireApiToken,
+  requireApiPermission
+};
@@ -1,9 +1,12 @@
-const requireRole = (role) => {
+const { User, AuditLog } = require('../models');
+
+const requirePermission = (permission) => {
   return (req, res, next) => {
-    if (!req.session.user || req.session.user.role !== role) {
-      return res.status(403).send('Доступ запрещён');
+    if (!req.session.user || !User.can(req.session.user.role, permission)) {
+      return res.status(403).send(req.t('errors.forbidden'));
     }
-    next();
+    // Изменения, сделанные дальше в этом запросе, записываются в журнал от имени пользователя
+    AuditLog.runAs(req.session.user, next);
   };
 };
 
@@ -14,13 +17,35 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// Роль и блокировка перечитываются на каждый запрос, чтобы изменения админа
+// действовали сразу, а не после повторного входа
+const refreshSessionUser = async (req, res, next) => {
+  if (!req.session.user) {
+    return next();
+  }
+  try {
+    const user = await User.findByPk(req.session.user.id, { attributes: ['id', 'username', 'role', 'disabledAt'] });
+    if (!user || user.disabledAt) {
+      delete req.session.user;
+    } else {
+      req.session.user.username = user.username;
+      req.session.user.role = user.role;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 const setUserLocals = (req, res, next) => {
   res.locals.user = req.session.user;
+  res.locals.can = (permission) => Boolean(req.session.user && User.can(req.session.user.role, permission));
   next();
 };
 
 module.exports = {
-  requireRole,
+  requirePermission,
   requireAuth,
+  refreshSessionUser,
   setUserLocals
-};
\ No newline at end of file
+};
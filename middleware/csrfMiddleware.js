@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// API авторизуется токеном из заголовка, уведомления провайдеров приходят без сессии:
+// cookie в этих запросах не участвуют, подделывать нечего
+const EXEMPT_PATHS = ['/api/', '/payments/webhook/'];
+
+// Токен создаётся при первом выводе формы и живёт, пока жива сессия
+const getToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+};
+
+const tokensMatch = (expected, actual) => {
+  if (typeof expected !== 'string' || typeof actual !== 'string') {
+    return false;
+  }
+  // Длины сравниваются в байтах: строка с многобайтными символами той же длины
+  // даёт буфер другого размера, и timingSafeEqual бросил бы исключение
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+// В шаблонах доступен csrfToken(): формы передают его полем _csrf, fetch — заголовком X-CSRF-Token
+const csrfLocals = (req, res, next) => {
+  res.locals.csrfToken = () => getToken(req);
+  next();
+};
+
+// Запросы, меняющие данные, принимаются только с токеном из сессии. Формы с файлами
+// передают токен в адресе (?_csrf=...): их тело разбирает multer уже в маршруте
+const verifyCsrf = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.some(path => req.path.startsWith(path))) {
+    return next();
+  }
+
+  const token = (req.body && req.body._csrf) || req.get('X-CSRF-Token') || req.query._csrf;
+  if (tokensMatch(req.session.csrfToken, token)) {
+    return next();
+  }
+
+  if (req.get('X-CSRF-Token') !== undefined || req.is('json')) {
+    return res.status(403).json({ success: false, message: req.t('errors.csrf') });
+  }
+  res.status(403).render('error', { message: req.t('errors.csrf'), title: req.t('common.error') });
+};
+
+module.exports = { csrfLocals, verifyCsrf };
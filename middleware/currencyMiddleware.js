@@ -0,0 +1,27 @@
+const currencyService = require('../services/currencyService');
+
+// Валюта показа хранится в сессии; во всех шаблонах доступны список валют
+// и функции пересчёта и форматирования цен. Подключается после выбора языка:
+// суммы записываются по его правилам
+const currencyLocals = async (req, res, next) => {
+  try {
+    const rates = await currencyService.getRates();
+    const selected = rates[req.session.currency] ? req.session.currency : currencyService.BASE_CURRENCY;
+
+    res.locals.currencies = Object.values(rates);
+    res.locals.currency = selected;
+    res.locals.baseCurrency = currencyService.BASE_CURRENCY;
+    // Цена из валюты from в выбранную валюту показа
+    res.locals.formatPrice = (amount, from = currencyService.BASE_CURRENCY) =>
+      currencyService.format(currencyService.convert(amount, from, selected, rates), selected, rates, req.locale);
+    // Сумма без пересчёта — для заказов, зафиксированных в базовой валюте
+    res.locals.formatMoney = (amount, code = currencyService.BASE_CURRENCY) =>
+      currencyService.format(amount, code, rates, req.locale);
+    req.rates = rates;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { currencyLocals };
@@ -0,0 +1,36 @@
+const multer = require('multer');
+const path = require('path');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Файлы импорта не сохраняются на диск — они разбираются прямо из памяти
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ext === '.csv' || ext === '.json') {
+    cb(null, true);
+  } else {
+    cb(new Error('import.onlyCsvJson'), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? req.t('import.fileTooBig', { size: MAX_FILE_SIZE / 1024 / 1024 })
+      : req.t(error instanceof multer.MulterError ? 'import.uploadError' : error.message);
+    res.status(400).render('error', { message, title: req.t('import.uploadError') });
+  });
+};
+
+module.exports = {
+  uploadImportFile
+};
@@ -0,0 +1,25 @@
+const i18nService = require('../services/i18nService');
+
+// Язык интерфейса выбирается переключателем и хранится в сессии; до выбора берётся
+// из заголовка Accept-Language, а если он не подходит — русский.
+// В шаблонах доступны перевод t(), форматирование дат и чисел и переведённые поля туров
+const localeLocals = (req, res, next) => {
+  const locale = i18nService.isLocale(req.session.locale)
+    ? req.session.locale
+    : (req.acceptsLanguages(...i18nService.LOCALES) || i18nService.DEFAULT_LOCALE);
+
+  req.locale = locale;
+  req.t = (message, params) => i18nService.translate(locale, message, params);
+  req.localize = (record, field) => i18nService.localize(locale, record, field);
+
+  res.locals.locale = locale;
+  res.locals.locales = i18nService.LOCALES;
+  res.locals.t = req.t;
+  res.locals.formatDate = (value) => i18nService.formatDate(locale, value);
+  res.locals.formatDateTime = (value) => i18nService.formatDateTime(locale, value);
+  res.locals.formatNumber = (value, options) => i18nService.formatNumber(locale, value, options);
+  res.locals.localize = req.localize;
+  next();
+};
+
+module.exports = { localeLocals };
@@ -2,6 +2,16 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+const ALLOWED_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_FILES = 10;
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadDir = path.join(__dirname, '../public/uploads');
@@ -12,22 +22,46 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    const safeName = file.originalname
-      .replace(ext, '')
+    const safeName = path.basename(file.originalname, path.extname(file.originalname))
       .replace(/[^a-zA-Z0-9]/g, '_');
-    const filename = `tour_${Date.now()}_${safeName}${ext}`;
+    const random = Math.round(Math.random() * 1e6);
+    const filename = `tour_${Date.now()}_${random}_${safeName}${ext}`;
     cb(null, filename);
   }
 });
 
+// Содержимое файла дополнительно проверяется после загрузки (см. services/imageService)
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ALLOWED_TYPES[ext] && ALLOWED_TYPES[ext] === file.mimetype) {
     cb(null, true);
   } else {
-    cb(new Error('Только изображения разрешены!'), false);
+    cb(new Error('images.onlyImages'), false);
   }
 };
 
-const upload = multer({ storage, fileFilter });
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES }
+});
+
+const uploadTourImages = (req, res, next) => {
+  upload.array('images', MAX_FILES)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    // При ошибке multer сам удаляет уже сохранённые файлы
+    let message = req.t(error.message);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = req.t('images.fileTooBig', { size: MAX_FILE_SIZE / 1024 / 1024 });
+    } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = req.t('images.tooMany', { count: MAX_FILES });
+    }
+    res.status(400).render('error', { message, title: req.t('images.uploadError') });
+  });
+};
 
-module.exports = upload;
\ No newline at end of file
+module.exports = {
+  uploadTourImages
+};
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+// Схема, которую раньше создавал sequelize.sync(). Для уже существующих баз
+// таблицы не пересоздаются (CREATE TABLE IF NOT EXISTS).
+const timestamps = {
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+const id = { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true };
+
+const reference = (table, onDelete) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Users', {
+      id,
+      username: { type: DataTypes.STRING, allowNull: false, unique: true },
+      password: { type: DataTypes.STRING, allowNull: false },
+      role: { type: DataTypes.ENUM('admin', 'client'), defaultValue: 'client' },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('Cities', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      country: { type: DataTypes.STRING, allowNull: false },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('Hotels', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      stars: { type: DataTypes.INTEGER, allowNull: false },
+      address: { type: DataTypes.STRING },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('Clients', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      email: { type: DataTypes.STRING, allowNull: false },
+      phone: { type: DataTypes.STRING },
+      ...timestamps
+    });
+
+    await queryInterface.createTable('Tours', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT },
+      price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      duration: { type: DataTypes.INTEGER, allowNull: false },
+      image: { type: DataTypes.STRING },
+      ...timestamps,
+      CityId: reference('Cities', 'SET NULL'),
+      HotelId: reference('Hotels', 'SET NULL'),
+      ClientId: reference('Clients', 'SET NULL')
+    });
+
+    await queryInterface.createTable('Carts', {
+      id,
+      ...timestamps,
+      UserId: reference('Users', 'SET NULL')
+    });
+
+    await queryInterface.createTable('CartItems', {
+      id,
+      quantity: { type: DataTypes.INTEGER, defaultValue: 1 },
+      ...timestamps,
+      CartId: reference('Carts', 'CASCADE'),
+      TourId: reference('Tours', 'CASCADE')
+    }, {
+      uniqueKeys: { CartItems_CartId_TourId_unique: { fields: ['CartId', 'TourId'] } }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('CartItems');
+    await queryInterface.dropTable('Carts');
+    await queryInterface.dropTable('Tours');
+    await queryInterface.dropTable('Clients');
+    await queryInterface.dropTable('Hotels');
+    await queryInterface.dropTable('Cities');
+    await queryInterface.dropTable('Users');
+  }
+};
@@ -0,0 +1,114 @@
+const { DataTypes, Op } = require('sequelize');
+const { withoutForeignKeys, withoutCascadeOnMssql } = require('./helpers/foreignKeys');
+
+const timestamps = {
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+const id = { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true };
+
+const reference = (table, onDelete) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+// Туры удаляются мягко, а позиции корзин удалённого тура убирает хук Tour.afterDestroy,
+// поэтому на SQL Server прямой ссылке на тур каскад не нужен: до CartItems и OrderItems
+// от Tours уже ведёт каскад через Departures
+const tourReference = (queryInterface, onDelete) => withoutCascadeOnMssql(queryInterface, reference('Tours', onDelete));
+
+const cartItemColumns = (queryInterface, departureId) => ({
+  id,
+  quantity: { type: DataTypes.INTEGER, defaultValue: 1 },
+  ...timestamps,
+  CartId: reference('Carts', 'CASCADE'),
+  TourId: tourReference(queryInterface, 'CASCADE'),
+  ...(departureId ? { DepartureId: reference('Departures', 'CASCADE') } : {})
+});
+
+// Пересоздаёт CartItems через временную таблицу: SQLite не умеет удалять ограничения
+const rebuildCartItems = async (queryInterface, withDepartures) => {
+  await queryInterface.createTable('CartItems_new', cartItemColumns(queryInterface, withDepartures), withDepartures
+    ? {}
+    : { uniqueKeys: { CartItems_CartId_TourId_unique: { fields: ['CartId', 'TourId'] } } });
+  const copy = 'INSERT INTO "CartItems_new" ("id", "quantity", "createdAt", "updatedAt", "CartId", "TourId") ' +
+    'SELECT "id", "quantity", "createdAt", "updatedAt", "CartId", "TourId" FROM "CartItems"';
+  // SQL Server принимает явные значения столбца IDENTITY только при IDENTITY_INSERT ON,
+  // причём в том же соединении — поэтому всё отправляется одним пакетом
+  await queryInterface.sequelize.query(queryInterface.sequelize.getDialect() === 'mssql'
+    ? `SET IDENTITY_INSERT "CartItems_new" ON; ${copy}; SET IDENTITY_INSERT "CartItems_new" OFF;`
+    : copy);
+  await queryInterface.dropTable('CartItems');
+  await queryInterface.renameTable('CartItems_new', 'CartItems');
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Departures', {
+      id,
+      startDate: { type: DataTypes.DATEONLY, allowNull: false },
+      seats: { type: DataTypes.INTEGER, allowNull: false },
+      seatsBooked: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      ...timestamps,
+      TourId: reference('Tours', 'CASCADE')
+    });
+
+    // Один тур может лежать в корзине несколько раз — с разными датами отправления
+    await rebuildCartItems(queryInterface, true);
+
+    // Учётные записи не удаляются; на SQL Server каскад от Users к Clients дал бы второй
+    // путь к таблицам туров (через Tours.ClientId) рядом с Carts, Orders и Reviews
+    await queryInterface.addColumn('Clients', 'UserId', withoutCascadeOnMssql(queryInterface, reference('Users', 'SET NULL')));
+    await queryInterface.addIndex('Clients', ['UserId'], {
+      name: 'clients_user_id_unique',
+      unique: true,
+      where: { UserId: { [Op.ne]: null } }
+    });
+
+    await queryInterface.createTable('Orders', {
+      id,
+      status: {
+        type: DataTypes.ENUM('pending', 'confirmed', 'paid', 'cancelled', 'completed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      total: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      ...timestamps,
+      UserId: reference('Users', 'SET NULL')
+    });
+
+    await queryInterface.createTable('OrderItems', {
+      id,
+      tourName: { type: DataTypes.STRING, allowNull: false },
+      price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      departureDate: { type: DataTypes.DATEONLY },
+      quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      ...timestamps,
+      OrderId: reference('Orders', 'SET NULL'),
+      TourId: tourReference(queryInterface, 'SET NULL'),
+      DepartureId: reference('Departures', 'SET NULL')
+    });
+
+    await queryInterface.createTable('ApiTokens', {
+      id,
+      name: { type: DataTypes.STRING },
+      tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      lastUsedAt: { type: DataTypes.DATE },
+      ...timestamps,
+      UserId: reference('Users', 'CASCADE')
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('ApiTokens');
+    await queryInterface.dropTable('OrderItems');
+    await queryInterface.dropTable('Orders');
+    await queryInterface.removeIndex('Clients', 'clients_user_id_unique');
+    await withoutForeignKeys(queryInterface, () => queryInterface.removeColumn('Clients', 'UserId'));
+    await rebuildCartItems(queryInterface, false);
+    await queryInterface.dropTable('Departures');
+  }
+};
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('TourImages', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      path: { type: DataTypes.STRING, allowNull: false },
+      thumbnailPath: { type: DataTypes.STRING, allowNull: false },
+      position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      isCover: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+      TourId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Tours', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }
+    });
+
+    // Единственное изображение из Tours.image становится обложкой галереи.
+    // Миниатюр для старых файлов нет, поэтому используется сам оригинал.
+    // Колонка Tours.image остаётся в таблице, но моделью больше не используется.
+    const [tours] = await queryInterface.sequelize.query(
+      'SELECT "id", "image" FROM "Tours" WHERE "image" IS NOT NULL'
+    );
+    const now = new Date();
+    if (tours.length > 0) {
+      await queryInterface.bulkInsert('TourImages', tours.map(tour => ({
+        TourId: tour.id,
+        path: tour.image,
+        thumbnailPath: tour.image,
+        position: 0,
+        isCover: true,
+        createdAt: now,
+        updatedAt: now
+      })));
+    }
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('TourImages');
+  }
+};
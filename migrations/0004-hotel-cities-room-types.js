@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys, withoutCascadeOnMssql } = require('./helpers/foreignKeys');
+
+const reference = (table, onDelete) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    // На SQL Server города и отели связаны с турами и позициями корзин ещё и напрямую,
+    // поэтому отель отвязывается от города, а его номера удаляются хуками
+    // City.beforeDestroy и Hotel.beforeDestroy
+    await queryInterface.addColumn('Hotels', 'CityId', withoutCascadeOnMssql(queryInterface, reference('Cities', 'SET NULL')));
+
+    // Город существующего отеля определяем по турам, в которых он чаще всего встречается
+    const [tours] = await queryInterface.sequelize.query(
+      'SELECT "HotelId", "CityId" FROM "Tours" WHERE "HotelId" IS NOT NULL AND "CityId" IS NOT NULL'
+    );
+    const counts = {};
+    tours.forEach(({ HotelId, CityId }) => {
+      counts[HotelId] = counts[HotelId] || {};
+      counts[HotelId][CityId] = (counts[HotelId][CityId] || 0) + 1;
+    });
+    for (const [hotelId, cities] of Object.entries(counts)) {
+      const [cityId] = Object.entries(cities).sort((a, b) => b[1] - a[1])[0];
+      await queryInterface.bulkUpdate('Hotels', { CityId: Number(cityId) }, { id: Number(hotelId) });
+    }
+
+    await queryInterface.createTable('RoomTypes', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      capacity: { type: DataTypes.INTEGER, allowNull: false },
+      priceSupplement: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+      HotelId: withoutCascadeOnMssql(queryInterface, reference('Hotels', 'CASCADE'))
+    });
+
+    await queryInterface.addColumn('CartItems', 'RoomTypeId', reference('RoomTypes', 'CASCADE'));
+    await queryInterface.addColumn('OrderItems', 'RoomTypeId', reference('RoomTypes', 'SET NULL'));
+    await queryInterface.addColumn('OrderItems', 'roomTypeName', { type: DataTypes.STRING });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn('OrderItems', 'roomTypeName');
+      await queryInterface.removeColumn('OrderItems', 'RoomTypeId');
+      await queryInterface.removeColumn('CartItems', 'RoomTypeId');
+      await queryInterface.dropTable('RoomTypes');
+      await queryInterface.removeColumn('Hotels', 'CityId');
+    });
+  }
+};
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+const reference = (table) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Reviews', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      rating: { type: DataTypes.INTEGER, allowNull: false },
+      text: { type: DataTypes.TEXT, allowNull: false },
+      status: {
+        type: DataTypes.ENUM('pending', 'approved', 'hidden'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+      UserId: reference('Users'),
+      TourId: reference('Tours')
+    });
+    await queryInterface.addIndex('Reviews', ['UserId', 'TourId'], { unique: true });
+
+    await queryInterface.addColumn('Tours', 'ratingAverage', {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('Tours', 'reviewCount', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn('Tours', 'reviewCount');
+      await queryInterface.removeColumn('Tours', 'ratingAverage');
+      await queryInterface.dropTable('Reviews');
+    });
+  }
+};
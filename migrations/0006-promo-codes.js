@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+const reference = (table, onDelete) => ({
+  type: DataTypes.INTEGER,
+  references: { model: table, key: 'id' },
+  onDelete,
+  onUpdate: 'CASCADE'
+});
+
+const joinTable = (queryInterface, name, otherKey, otherTable) => queryInterface.createTable(name, {
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false },
+  PromoCodeId: { ...reference('PromoCodes', 'CASCADE'), primaryKey: true },
+  [otherKey]: { ...reference(otherTable, 'CASCADE'), primaryKey: true }
+});
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('PromoCodes', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: DataTypes.STRING, allowNull: false, unique: true },
+      discountType: { type: DataTypes.ENUM('percent', 'fixed'), allowNull: false },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      validFrom: { type: DataTypes.DATEONLY },
+      validUntil: { type: DataTypes.DATEONLY },
+      usageLimit: { type: DataTypes.INTEGER },
+      usedCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      minOrderTotal: { type: DataTypes.DECIMAL(10, 2) },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await joinTable(queryInterface, 'PromoCodeCities', 'CityId', 'Cities');
+    await joinTable(queryInterface, 'PromoCodeTours', 'TourId', 'Tours');
+
+    await queryInterface.addColumn('Carts', 'PromoCodeId', reference('PromoCodes', 'SET NULL'));
+    await queryInterface.addColumn('Orders', 'PromoCodeId', reference('PromoCodes', 'SET NULL'));
+    await queryInterface.addColumn('Orders', 'discount', {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('Orders', 'promoCode', { type: DataTypes.STRING });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn('Orders', 'promoCode');
+      await queryInterface.removeColumn('Orders', 'discount');
+      await queryInterface.removeColumn('Orders', 'PromoCodeId');
+      await queryInterface.removeColumn('Carts', 'PromoCodeId');
+      await queryInterface.dropTable('PromoCodeTours');
+      await queryInterface.dropTable('PromoCodeCities');
+      await queryInterface.dropTable('PromoCodes');
+    });
+  }
+};
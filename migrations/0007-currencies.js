@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Currencies', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: DataTypes.STRING(3), allowNull: false, unique: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      symbol: { type: DataTypes.STRING, allowNull: false },
+      rate: { type: DataTypes.DECIMAL(14, 6), allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+
+    // Все существующие цены были в рублях — рубль становится базовой валютой
+    const now = new Date();
+    await queryInterface.bulkInsert('Currencies', [
+      { code: 'RUB', name: 'Российский рубль', symbol: 'руб.', rate: 1, createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.addColumn('Tours', 'currency', {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'RUB'
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn('Tours', 'currency');
+      await queryInterface.dropTable('Currencies');
+    });
+  }
+};
@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Notifications', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      template: { type: DataTypes.STRING, allowNull: false },
+      recipient: { type: DataTypes.STRING, allowNull: false },
+      subject: { type: DataTypes.STRING, allowNull: false },
+      body: { type: DataTypes.TEXT, allowNull: false },
+      status: {
+        type: DataTypes.ENUM('pending', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      lastError: { type: DataTypes.TEXT },
+      sendAfter: { type: DataTypes.DATE, allowNull: false },
+      sentAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('Notifications', ['status', 'sendAfter']);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('Notifications');
+  }
+};
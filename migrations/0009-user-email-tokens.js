@@ -0,0 +1,65 @@
+const { DataTypes, Op, QueryTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('Users', 'email', { type: DataTypes.STRING });
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', { type: DataTypes.DATE });
+    await queryInterface.addIndex('Users', ['email'], {
+      name: 'users_email_unique',
+      unique: true,
+      where: { email: { [Op.ne]: null } }
+    });
+
+    // Существующим учётным записям переносим email из привязанной клиентской карточки.
+    // Подтверждённым он не считается; адреса, встречающиеся у нескольких учётных записей, пропускаем.
+    const rows = await queryInterface.sequelize.query(
+      'SELECT "UserId", "email" FROM "Clients" WHERE "UserId" IS NOT NULL',
+      { type: QueryTypes.SELECT }
+    );
+    const owners = new Map();
+    for (const row of rows) {
+      const email = String(row.email).trim().toLowerCase();
+      owners.set(email, owners.has(email) ? null : row.UserId);
+    }
+    for (const [email, userId] of owners) {
+      if (userId) {
+        await queryInterface.bulkUpdate('Users', { email }, { id: userId });
+      }
+    }
+
+    await queryInterface.createTable('UserTokens', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      purpose: {
+        type: DataTypes.ENUM('verify-email', 'password-reset'),
+        allowNull: false
+      },
+      tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      email: { type: DataTypes.STRING, allowNull: false },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      usedAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('UserTokens');
+    // Перестройка таблицы Users в SQLite при откате следующих миграций превращает индекс
+    // в ограничение столбца, которое уйдёт вместе с ним
+    const indexes = await queryInterface.showIndex('Users');
+    if (indexes.some(index => index.name === 'users_email_unique')) {
+      await queryInterface.removeIndex('Users', 'users_email_unique');
+    }
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn('Users', 'emailVerifiedAt');
+      await queryInterface.removeColumn('Users', 'email');
+    });
+  }
+};
@@ -0,0 +1,28 @@
+const { DataTypes, Op } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+// В SQLite ENUM хранится как TEXT без ограничений, поэтому список ролей
+// меняется на уровне столбца только в остальных СУБД
+const changeRoles = async (queryInterface, roles) => {
+  if (queryInterface.sequelize.getDialect() === 'sqlite') {
+    return;
+  }
+  await queryInterface.changeColumn('Users', 'role', {
+    type: DataTypes.ENUM(...roles),
+    defaultValue: 'client'
+  });
+};
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await changeRoles(queryInterface, ['admin', 'manager', 'support', 'client']);
+    await queryInterface.addColumn('Users', 'disabledAt', { type: DataTypes.DATE });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    // Сотрудники с новыми ролями при откате теряют доступ к админке
+    await queryInterface.bulkUpdate('Users', { role: 'client' }, { role: { [Op.in]: ['manager', 'support'] } });
+    await changeRoles(queryInterface, ['admin', 'client']);
+    await withoutForeignKeys(queryInterface, () => queryInterface.removeColumn('Users', 'disabledAt'));
+  }
+};
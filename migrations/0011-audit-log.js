@@ -0,0 +1,37 @@
+const { DataTypes, Op } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('AuditLogs', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      action: {
+        type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+        allowNull: false
+      },
+      entity: { type: DataTypes.STRING, allowNull: false },
+      entityId: { type: DataTypes.INTEGER },
+      before: { type: DataTypes.TEXT },
+      after: { type: DataTypes.TEXT },
+      username: { type: DataTypes.STRING, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      UserId: {
+        type: DataTypes.INTEGER,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      }
+    });
+    await queryInterface.addIndex('AuditLogs', ['entity', 'entityId']);
+    await queryInterface.addIndex('AuditLogs', ['createdAt']);
+
+    await queryInterface.addColumn('Tours', 'deletedAt', { type: DataTypes.DATE });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    // До мягкого удаления удалённых туров в базе не было — убираем их окончательно
+    await queryInterface.bulkDelete('Tours', { deletedAt: { [Op.ne]: null } });
+    await withoutForeignKeys(queryInterface, () => queryInterface.removeColumn('Tours', 'deletedAt'));
+    await queryInterface.dropTable('AuditLogs');
+  }
+};
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+const reference = (table) => ({
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  references: { model: table, key: 'id' },
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('WishlistItems', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      UserId: reference('Users'),
+      TourId: reference('Tours')
+    });
+    await queryInterface.addIndex('WishlistItems', ['UserId', 'TourId'], { unique: true });
+
+    await queryInterface.createTable('PriceAlerts', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      oldPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      newPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      oldCurrency: { type: DataTypes.STRING(3), allowNull: false },
+      newCurrency: { type: DataTypes.STRING(3), allowNull: false },
+      readAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      UserId: reference('Users'),
+      TourId: reference('Tours')
+    });
+    await queryInterface.addIndex('PriceAlerts', ['UserId', 'readAt']);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('PriceAlerts');
+    await queryInterface.dropTable('WishlistItems');
+  }
+};
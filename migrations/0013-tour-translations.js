@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('Tours', 'nameEn', { type: DataTypes.STRING });
+    await queryInterface.addColumn('Tours', 'descriptionEn', { type: DataTypes.TEXT });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeColumn('Tours', 'descriptionEn');
+      await queryInterface.removeColumn('Tours', 'nameEn');
+    });
+  }
+};
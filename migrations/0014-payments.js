@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+
+const reference = (table) => ({
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  references: { model: table, key: 'id' },
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Payments', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      provider: { type: DataTypes.STRING, allowNull: false },
+      providerPaymentId: { type: DataTypes.STRING },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      currency: { type: DataTypes.STRING(3), allowNull: false },
+      status: {
+        type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'refunded'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      failureReason: { type: DataTypes.STRING },
+      paidAt: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+      OrderId: reference('Orders')
+    });
+    // Не уникальный: до ответа провайдера идентификатор пустой, а SQL Server
+    // в уникальном индексе допускает только один NULL
+    await queryInterface.addIndex('Payments', ['provider', 'providerPaymentId']);
+    await queryInterface.addIndex('Payments', ['OrderId']);
+
+    await queryInterface.createTable('Refunds', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      providerRefundId: { type: DataTypes.STRING },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      status: {
+        type: DataTypes.ENUM('succeeded', 'failed'),
+        allowNull: false
+      },
+      lastError: { type: DataTypes.TEXT },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+      PaymentId: reference('Payments')
+    });
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('Refunds');
+    await queryInterface.dropTable('Payments');
+  }
+};
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.createTable('Sessions', {
+      sidHash: { type: DataTypes.STRING(64), primaryKey: true },
+      data: { type: DataTypes.TEXT, allowNull: false },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('Sessions', ['expiresAt']);
+
+    await queryInterface.createTable('LoginThrottles', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      key: { type: DataTypes.STRING, allowNull: false, unique: true },
+      failures: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      windowStartedAt: { type: DataTypes.DATE, allowNull: false },
+      lockedUntil: { type: DataTypes.DATE },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('LoginThrottles', ['updatedAt']);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await queryInterface.dropTable('LoginThrottles');
+    await queryInterface.dropTable('Sessions');
+  }
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+const { withoutForeignKeys } = require('./helpers/foreignKeys');
+
+module.exports = {
+  up: async ({ context: queryInterface }) => {
+    await queryInterface.addColumn('Carts', 'expiresAt', { type: DataTypes.DATE });
+    await queryInterface.addIndex('Carts', ['expiresAt']);
+  },
+
+  down: async ({ context: queryInterface }) => {
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeIndex('Carts', ['expiresAt']);
+      await queryInterface.removeColumn('Carts', 'expiresAt');
+    });
+  }
+};
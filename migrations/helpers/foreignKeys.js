@@ -0,0 +1,23 @@
+// SQLite удаляет и пересоздаёт таблицу при removeColumn/changeColumn. При включённых
+// внешних ключах это каскадно чистит ссылающиеся таблицы, поэтому на время
+// перестройки проверки отключаются.
+const withoutForeignKeys = async (queryInterface, callback) => {
+  if (queryInterface.sequelize.getDialect() !== 'sqlite') {
+    return callback();
+  }
+  await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    return await callback();
+  } finally {
+    await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+// SQL Server не создаёт внешний ключ, если из одной таблицы в другую ведут два пути
+// каскадных действий (ошибка 1785). На таких ссылках каскад там отключается,
+// а удаление или обнуление делают хуки моделей (models/index.js)
+const withoutCascadeOnMssql = (queryInterface, reference) => (queryInterface.sequelize.getDialect() === 'mssql'
+  ? { ...reference, onDelete: 'NO ACTION', onUpdate: 'NO ACTION' }
+  : reference);
+
+module.exports = { withoutForeignKeys, withoutCascadeOnMssql };
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const sequelize = require('../config/database');
+
+const ApiToken = sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING
+  },
+  // В базе хранится только хеш токена, сам токен показывается один раз при выдаче
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE
+  }
+});
+
+ApiToken.hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+ApiToken.issue = async (userId, name) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await ApiToken.create({ UserId: userId, name, tokenHash: ApiToken.hash(token) });
+  return token;
+};
+
+module.exports = ApiToken;
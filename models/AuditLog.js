@@ -0,0 +1,126 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Модели, изменения которых попадают в журнал; названия — в каталогах переводов (audit.entities)
+const ENTITIES = [
+  'Tour', 'Departure', 'TourImage', 'City', 'Hotel', 'RoomType',
+  'Client', 'Order', 'Review', 'PromoCode', 'Currency', 'User'
+];
+
+// Служебные поля в журнал не попадают, пароль записывается без значения
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+const HIDDEN_FIELDS = ['password'];
+
+// Значения до и после хранятся JSON-строкой: тип JSON есть не во всех СУБД
+const jsonField = (name) => ({
+  type: DataTypes.TEXT,
+  get() {
+    const value = this.getDataValue(name);
+    return value ? JSON.parse(value) : null;
+  },
+  set(value) {
+    this.setDataValue(name, value ? JSON.stringify(value) : null);
+  }
+});
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  action: {
+    type: DataTypes.ENUM(...ACTIONS),
+    allowNull: false
+  },
+  entity: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.INTEGER
+  },
+  before: jsonField('before'),
+  after: jsonField('after'),
+  // Логин сохраняется отдельно, чтобы запись оставалась читаемой после удаления пользователя
+  username: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['entity', 'entityId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+AuditLog.ACTIONS = ACTIONS;
+AuditLog.ENTITIES = ENTITIES;
+
+// Кто выполняет текущий запрос. Заполняется проверкой прав, поэтому в журнал попадают
+// только действия сотрудников, а не, например, списание мест при оформлении заказа
+AuditLog.context = new AsyncLocalStorage();
+
+AuditLog.runAs = (user, callback) => AuditLog.context.run({ id: user.id, username: user.username }, callback);
+
+// Значения из форм приходят строками: «2» вместо 2 изменением не считается
+const normalize = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value !== 'boolean' && Number.isFinite(Number(value)) ? Number(value) : String(value);
+};
+
+const snapshot = (instance, fields) => fields.reduce((result, field) => {
+  result[field] = HIDDEN_FIELDS.includes(field) ? '***' : instance.get(field);
+  return result;
+}, {});
+
+AuditLog.record = async (action, instance, options = {}) => {
+  const actor = AuditLog.context.getStore();
+  if (!actor) {
+    return;
+  }
+
+  const Model = instance.constructor;
+  const fields = Object.keys(Model.rawAttributes).filter(field => !IGNORED_FIELDS.includes(field));
+  let before = null;
+  let after = null;
+
+  if (action === 'update') {
+    const changed = (instance.changed() || []).filter(field =>
+      fields.includes(field) && normalize(instance.previous(field)) !== normalize(instance.get(field))
+    );
+    if (changed.length === 0) {
+      return;
+    }
+    before = changed.reduce((result, field) => {
+      result[field] = HIDDEN_FIELDS.includes(field) ? '***' : instance.previous(field);
+      return result;
+    }, {});
+    after = snapshot(instance, changed);
+  } else if (action === 'delete') {
+    before = snapshot(instance, fields);
+  } else {
+    after = snapshot(instance, fields);
+  }
+
+  await AuditLog.create({
+    action,
+    entity: Model.name,
+    entityId: instance.get('id'),
+    before,
+    after,
+    UserId: actor.id,
+    username: actor.username
+  }, { transaction: options.transaction });
+};
+
+module.exports = AuditLog;
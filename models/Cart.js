@@ -6,7 +6,14 @@ const Cart = sequelize.define('Cart', {
     type: DataTypes.INTEGER,
     primaryKey: true,
     autoIncrement: true
+  },
+  // Только у корзин гостей: корзина без UserId привязана к сессии и удаляется,
+  // если её не меняли до этого времени
+  expiresAt: {
+    type: DataTypes.DATE
   }
+}, {
+  indexes: [{ fields: ['expiresAt'] }]
 });
 
-module.exports = Cart;
\ No newline at end of file
+module.exports = Cart;
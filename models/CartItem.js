@@ -10,6 +10,11 @@ const CartItem = sequelize.define('CartItem', {
   quantity: {
     type: DataTypes.INTEGER,
     defaultValue: 1
+  },
+  // Цена одного места в базовой валюте по текущему курсу с учётом доплаты за тип номера;
+  // заполняется cartService
+  basePrice: {
+    type: DataTypes.VIRTUAL
   }
 });
 
@@ -20,6 +20,10 @@ const Client = sequelize.define('Client', {
   },
   phone: {
     type: DataTypes.STRING
+  },
+  UserId: {
+    type: DataTypes.INTEGER,
+    unique: true
   }
 });
 
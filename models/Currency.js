@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Currency = sequelize.define('Currency', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Код ISO 4217: RUB, EUR, USD
+  code: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[A-Z]{3}$/
+    },
+    set(value) {
+      this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  symbol: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Сколько единиц базовой валюты стоит одна единица этой валюты
+  rate: {
+    type: DataTypes.DECIMAL(14, 6),
+    allowNull: false,
+    validate: {
+      min: 0.000001
+    }
+  }
+});
+
+module.exports = Currency;
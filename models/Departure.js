@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Departure = sequelize.define('Departure', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  seats: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  seatsBooked: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  seatsAvailable: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.seats - this.seatsBooked;
+    }
+  }
+});
+
+module.exports = Departure;
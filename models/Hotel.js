@@ -13,7 +13,12 @@ const Hotel = sequelize.define('Hotel', {
   },
   stars: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1,
+      max: 5
+    }
   },
   address: {
     type: DataTypes.STRING
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Счётчик неудачных входов по имени пользователя (user:<имя>) или адресу (ip:<адрес>)
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Неудачи считаются в окне, которое начинается с первой из них
+  windowStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lockedUntil: {
+    type: DataTypes.DATE
+  }
+}, {
+  indexes: [{ fields: ['updatedAt'] }]
+});
+
+module.exports = LoginThrottle;
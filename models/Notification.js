@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const STATUSES = ['pending', 'sent', 'failed'];
+
+// Очередь исходящих писем: письмо сначала сохраняется, затем отправляется фоновым обработчиком
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  template: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  recipient: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT
+  },
+  // Не отправлять раньше этого времени — так откладываются повторные попытки
+  sendAfter: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  sentAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  indexes: [{ fields: ['status', 'sendAfter'] }]
+});
+
+Notification.STATUSES = STATUSES;
+
+module.exports = Notification;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const STATUSES = ['pending', 'confirmed', 'paid', 'cancelled', 'completed'];
+
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Скидка уже вычтена из total; код сохраняется на случай удаления промокода
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  promoCode: {
+    type: DataTypes.STRING
+  }
+});
+
+Order.STATUSES = STATUSES;
+
+// Допустимые переходы между статусами заказа. Оплатить заказ можно, не дожидаясь подтверждения
+Order.TRANSITIONS = {
+  pending: ['confirmed', 'paid', 'cancelled'],
+  confirmed: ['paid', 'cancelled'],
+  paid: ['completed', 'cancelled'],
+  cancelled: [],
+  completed: []
+};
+
+Order.canTransition = (from, to) => (Order.TRANSITIONS[from] || []).includes(to);
+
+module.exports = Order;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  tourName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Цена тура на момент оформления заказа в базовой валюте
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  departureDate: {
+    type: DataTypes.DATEONLY
+  },
+  roomTypeName: {
+    type: DataTypes.STRING
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  }
+});
+
+module.exports = OrderItem;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const STATUSES = ['pending', 'succeeded', 'failed', 'refunded'];
+
+// Попытка оплаты заказа у платёжного провайдера. Данные карты вводятся на стороне
+// провайдера и в базу не попадают — хранятся только его идентификатор и результат
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  providerPaymentId: {
+    type: DataTypes.STRING
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  // Код причины отказа от провайдера, например card_declined
+  failureReason: {
+    type: DataTypes.STRING
+  },
+  paidAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  indexes: [
+    { fields: ['provider', 'providerPaymentId'] },
+    { fields: ['OrderId'] }
+  ]
+});
+
+Payment.STATUSES = STATUSES;
+
+module.exports = Payment;
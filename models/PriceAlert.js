@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Уведомление в личном кабинете о том, что тур из избранного подешевел
+const PriceAlert = sequelize.define('PriceAlert', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  oldPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  newPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Цены сохраняются в валюте тура на момент снижения
+  oldCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  newCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  readAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  updatedAt: false,
+  indexes: [{ fields: ['UserId', 'readAt'] }]
+});
+
+module.exports = PriceAlert;
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Коды хранятся в верхнем регистре, чтобы ввод не зависел от регистра
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    },
+    set(value) {
+      this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+    }
+  },
+  discountType: {
+    type: DataTypes.ENUM(...DISCOUNT_TYPES),
+    allowNull: false
+  },
+  // Процент скидки или сумма в рублях, в зависимости от discountType
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01,
+      maxPercent(value) {
+        if (this.discountType === 'percent' && Number(value) > 100) {
+          throw new Error('validation.percentTooLarge');
+        }
+      }
+    }
+  },
+  validFrom: {
+    type: DataTypes.DATEONLY
+  },
+  validUntil: {
+    type: DataTypes.DATEONLY
+  },
+  // Пустой лимит — код можно использовать без ограничений
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  usedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  minOrderTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    validate: {
+      min: 0
+    }
+  }
+});
+
+PromoCode.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+module.exports = PromoCode;
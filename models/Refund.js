@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const STATUSES = ['succeeded', 'failed'];
+
+// Возврат оплаты. Неудачные попытки тоже сохраняются вместе с ошибкой провайдера
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  providerRefundId: {
+    type: DataTypes.STRING
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false
+  },
+  lastError: {
+    type: DataTypes.TEXT
+  }
+});
+
+Refund.STATUSES = STATUSES;
+
+module.exports = Refund;
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const STATUSES = ['pending', 'approved', 'hidden'];
+
+const Review = sequelize.define('Review', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Новые отзывы попадают в очередь модерации и не видны до одобрения
+  status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  }
+}, {
+  indexes: [{ unique: true, fields: ['UserId', 'TourId'] }]
+});
+
+Review.STATUSES = STATUSES;
+
+module.exports = Review;
@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const sequelize = require('../config/database');
+
+// Сессии пользователей сайта. Как и у API-токенов, в базе хранится только хеш
+// идентификатора сессии: по данным из базы чужую сессию не подделать
+const Session = sequelize.define('Session', {
+  sidHash: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  // Данные сессии JSON-строкой: тип JSON есть не во всех СУБД
+  data: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  indexes: [{ fields: ['expiresAt'] }]
+});
+
+Session.hash = (sid) => crypto.createHash('sha256').update(sid).digest('hex');
+
+module.exports = Session;
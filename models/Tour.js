@@ -14,17 +14,49 @@ const Tour = sequelize.define('Tour', {
   description: {
     type: DataTypes.TEXT
   },
+  // Перевод названия и описания на английский; без перевода показывается русский текст
+  nameEn: {
+    type: DataTypes.STRING
+  },
+  descriptionEn: {
+    type: DataTypes.TEXT
+  },
   price: {
     type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 0
+    }
   },
   duration: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: false,
+    validate: {
+      isInt: true,
+      min: 1
+    }
   },
-  image: {
-    type: DataTypes.STRING
+  // Цена задаётся в валюте тура и пересчитывается при показе
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'RUB'
+  },
+  // Средняя оценка и число опубликованных отзывов пересчитываются при модерации
+  ratingAverage: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  reviewCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
+}, {
+  // Удалённые туры остаются в базе с отметкой deletedAt и могут быть восстановлены
+  paranoid: true
 });
 
 module.exports = Tour;
\ No newline at end of file
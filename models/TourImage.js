@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const imageService = require('../services/imageService');
+
+const TourImage = sequelize.define('TourImage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  path: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  thumbnailPath: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  isCover: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+});
+
+// Файлы удаляются только после фиксации транзакции, чтобы откат не оставил записи без файлов
+TourImage.afterDestroy((image, options) => {
+  const removeFiles = () => imageService.removeFiles(image.path, image.thumbnailPath);
+  if (options.transaction) {
+    options.transaction.afterCommit(removeFiles);
+  } else {
+    return removeFiles();
+  }
+});
+
+module.exports = TourImage;
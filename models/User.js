@@ -2,6 +2,19 @@ const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 const bcrypt = require('bcrypt');
 
+const ROLES = ['admin', 'manager', 'support', 'client'];
+
+// Права ролей. catalog.manage — туры, даты, фото, города, отели и номера
+const PERMISSIONS = {
+  admin: [
+    'catalog.manage', 'clients.read', 'clients.manage', 'orders.read', 'orders.manage',
+    'reviews.moderate', 'promo-codes.manage', 'currencies.manage', 'users.manage', 'audit.read'
+  ],
+  manager: ['catalog.manage', 'clients.read', 'orders.read', 'orders.manage', 'reviews.moderate', 'promo-codes.manage'],
+  support: ['clients.read', 'orders.read'],
+  client: []
+};
+
 const User = sequelize.define('User', {
   id: {
     type: DataTypes.INTEGER,
@@ -17,12 +30,39 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  // У учётных записей, заведённых до появления поля, email может быть пустым
+  email: {
+    type: DataTypes.STRING,
+    unique: true,
+    validate: {
+      isEmail: true
+    },
+    set(value) {
+      this.setDataValue('email', typeof value === 'string' ? value.trim().toLowerCase() || null : value);
+    }
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE
+  },
+  // Язык писем — последний выбранный пользователем язык сайта; без него письма на русском
+  locale: {
+    type: DataTypes.STRING(5)
+  },
   role: {
-    type: DataTypes.ENUM('admin', 'client'),
+    type: DataTypes.ENUM(...ROLES),
     defaultValue: 'client'
+  },
+  // Заблокированная учётная запись не может войти ни через сайт, ни через API
+  disabledAt: {
+    type: DataTypes.DATE
   }
 });
 
+User.ROLES = ROLES;
+User.PERMISSIONS = PERMISSIONS;
+
+User.can = (role, permission) => (PERMISSIONS[role] || []).includes(permission);
+
 User.beforeCreate(async (user) => {
   if (user.password) {
     user.password = await bcrypt.hash(user.password, 10);
@@ -0,0 +1,70 @@
+const { DataTypes, Op } = require('sequelize');
+const crypto = require('crypto');
+const sequelize = require('../config/database');
+
+const PURPOSES = ['verify-email', 'password-reset'];
+
+// Срок действия одноразовых ссылок
+const TTL = {
+  'verify-email': 48 * 60 * 60 * 1000,
+  'password-reset': 60 * 60 * 1000
+};
+
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purpose: {
+    type: DataTypes.ENUM(...PURPOSES),
+    allowNull: false
+  },
+  // Как и у ApiToken, хранится только хеш, сам токен уходит в письме
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // Адрес, на который ушло письмо: смена email делает старую ссылку подтверждения недействительной
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE
+  }
+});
+
+UserToken.PURPOSES = PURPOSES;
+UserToken.TTL = TTL;
+
+UserToken.hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+UserToken.issue = async (user, purpose, { transaction } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    UserId: user.id,
+    purpose,
+    tokenHash: UserToken.hash(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TTL[purpose])
+  }, { transaction });
+  return token;
+};
+
+UserToken.findValid = (token, purpose, { transaction } = {}) => UserToken.findOne({
+  where: {
+    tokenHash: UserToken.hash(String(token || '')),
+    purpose,
+    usedAt: null,
+    expiresAt: { [Op.gt]: new Date() }
+  },
+  transaction
+});
+
+module.exports = UserToken;
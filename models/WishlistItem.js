@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Тур, сохранённый пользователем «на потом»
+const WishlistItem = sequelize.define('WishlistItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  }
+}, {
+  updatedAt: false,
+  indexes: [{ unique: true, fields: ['UserId', 'TourId'] }]
+});
+
+module.exports = WishlistItem;
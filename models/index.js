@@ -1,3 +1,4 @@
+const { Op, ValidationError, ValidationErrorItem } = require('sequelize');
 const sequelize = require('../config/database');
 const User = require('./User');
 const Tour = require('./Tour');
@@ -6,6 +7,24 @@ const Hotel = require('./Hotel');
 const Client = require('./Client');
 const Cart = require('./Cart');
 const CartItem = require('./CartItem');
+const Departure = require('./Departure');
+const TourImage = require('./TourImage');
+const RoomType = require('./RoomType');
+const Review = require('./Review');
+const PromoCode = require('./PromoCode');
+const Currency = require('./Currency');
+const Notification = require('./Notification');
+const Order = require('./Order');
+const OrderItem = require('./OrderItem');
+const ApiToken = require('./ApiToken');
+const UserToken = require('./UserToken');
+const AuditLog = require('./AuditLog');
+const WishlistItem = require('./WishlistItem');
+const PriceAlert = require('./PriceAlert');
+const Payment = require('./Payment');
+const Refund = require('./Refund');
+const Session = require('./Session');
+const LoginThrottle = require('./LoginThrottle');
 
 // Определение связей
 Tour.belongsTo(City);
@@ -15,10 +34,195 @@ City.hasMany(Tour);
 Hotel.hasMany(Tour);
 Client.hasMany(Tour);
 
+City.hasMany(Hotel);
+Hotel.belongsTo(City);
+Hotel.hasMany(RoomType, { onDelete: 'CASCADE' });
+RoomType.belongsTo(Hotel);
+
+// На SQL Server у этих ссылок нет каскада (migrations/0004), поэтому отель
+// отвязывается от удаляемого города, а номера удаляемого отеля удаляются здесь
+City.beforeDestroy(async (city, options) => {
+  await Hotel.update({ CityId: null }, { where: { CityId: city.id }, transaction: options.transaction });
+});
+Hotel.beforeDestroy(async (hotel, options) => {
+  await RoomType.destroy({ where: { HotelId: hotel.id }, transaction: options.transaction });
+});
+
+// Отель с турами нельзя перенести в другой город: туры остались бы в старом.
+// Проверка в модели, чтобы её не обходили ни админка, ни API. Перенос вместе с турами
+// (опция movingTours: туры переносятся следом) и отвязка от удаляемого города разрешены
+Hotel.beforeUpdate(async (hotel, options) => {
+  if (!hotel.changed('CityId') || !hotel.CityId || options.movingTours) {
+    return;
+  }
+  const tours = await Tour.count({
+    where: { HotelId: hotel.id, CityId: { [Op.ne]: hotel.CityId } },
+    transaction: options.transaction
+  });
+  if (tours > 0) {
+    throw new ValidationError('validation.hotelCityLocked', [
+      new ValidationErrorItem('validation.hotelCityLocked', 'Validation error', 'CityId', hotel.CityId)
+    ]);
+  }
+});
+
+// Отель тура должен находиться в городе тура
+Tour.beforeSave(async (tour, options) => {
+  if (!tour.HotelId || !tour.CityId) {
+    return;
+  }
+  const hotel = await Hotel.findByPk(tour.HotelId, { transaction: options.transaction });
+  if (hotel && hotel.CityId && hotel.CityId !== Number(tour.CityId)) {
+    throw new ValidationError('validation.hotelCity', [
+      new ValidationErrorItem('validation.hotelCity', 'Validation error', 'HotelId', tour.HotelId)
+    ]);
+  }
+});
+
+// Валюта тура должна быть заведена в справочнике курсов
+Tour.beforeSave(async (tour, options) => {
+  if (!tour.changed('currency')) {
+    return;
+  }
+  const currency = await Currency.findOne({ where: { code: tour.currency }, transaction: options.transaction });
+  if (!currency) {
+    throw new ValidationError('validation.unknownCurrency', [
+      new ValidationErrorItem('validation.unknownCurrency', 'Validation error', 'currency', tour.currency)
+    ]);
+  }
+});
+
+// Учётная запись пользователя и его клиентская карточка
+User.hasOne(Client);
+Client.belongsTo(User);
+
+Tour.hasMany(Departure, { onDelete: 'CASCADE' });
+Departure.belongsTo(Tour);
+
+Tour.hasMany(TourImage, { onDelete: 'CASCADE' });
+TourImage.belongsTo(Tour);
+
+// Изображения удаляются по одному, чтобы их файлы тоже были удалены.
+// При мягком удалении тура фото остаются — они понадобятся после восстановления
+Tour.beforeDestroy(async (tour, options) => {
+  if (!options.force) {
+    return;
+  }
+  await TourImage.destroy({
+    where: { TourId: tour.id },
+    individualHooks: true,
+    transaction: options.transaction
+  });
+});
+
+Tour.hasMany(Review, { onDelete: 'CASCADE' });
+Review.belongsTo(Tour);
+User.hasMany(Review, { onDelete: 'CASCADE' });
+Review.belongsTo(User);
+
+// Рейтинг тура считается только по опубликованным отзывам
+const refreshTourRating = async (review, options) => {
+  const [stats] = await Review.findAll({
+    attributes: [
+      [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    where: { TourId: review.TourId, status: 'approved' },
+    raw: true,
+    transaction: options.transaction
+  });
+  await Tour.update({
+    ratingAverage: Number(stats.average || 0).toFixed(2),
+    reviewCount: Number(stats.count)
+  }, { where: { id: review.TourId }, transaction: options.transaction });
+};
+Review.afterSave(refreshTourRating);
+Review.afterDestroy(refreshTourRating);
+
 User.hasOne(Cart);
 Cart.belongsTo(User);
-Cart.belongsToMany(Tour, { through: CartItem });
-Tour.belongsToMany(Cart, { through: CartItem });
+// Один тур может лежать в корзине несколько раз — с разными датами отправления
+Cart.belongsToMany(Tour, { through: { model: CartItem, unique: false } });
+Tour.belongsToMany(Cart, { through: { model: CartItem, unique: false } });
+Cart.hasMany(CartItem);
+CartItem.belongsTo(Cart);
+CartItem.belongsTo(Tour);
+Departure.hasMany(CartItem, { onDelete: 'CASCADE' });
+CartItem.belongsTo(Departure);
+RoomType.hasMany(CartItem, { onDelete: 'CASCADE' });
+CartItem.belongsTo(RoomType);
+
+// Удалённый тур пропадает из корзин сразу, не дожидаясь оформления заказа
+Tour.afterDestroy(async (tour, options) => {
+  await CartItem.destroy({ where: { TourId: tour.id }, transaction: options.transaction });
+});
+
+User.hasMany(Order);
+Order.belongsTo(User);
+Order.hasMany(OrderItem);
+OrderItem.belongsTo(Order);
+Tour.hasMany(OrderItem);
+OrderItem.belongsTo(Tour);
+Departure.hasMany(OrderItem);
+OrderItem.belongsTo(Departure);
+RoomType.hasMany(OrderItem);
+OrderItem.belongsTo(RoomType);
+
+// Промокод может действовать только для отдельных городов или туров
+PromoCode.belongsToMany(City, { through: 'PromoCodeCities' });
+City.belongsToMany(PromoCode, { through: 'PromoCodeCities' });
+PromoCode.belongsToMany(Tour, { through: 'PromoCodeTours' });
+Tour.belongsToMany(PromoCode, { through: 'PromoCodeTours' });
+PromoCode.hasMany(Cart, { onDelete: 'SET NULL' });
+Cart.belongsTo(PromoCode);
+PromoCode.hasMany(Order, { onDelete: 'SET NULL' });
+Order.belongsTo(PromoCode);
+
+User.hasMany(ApiToken, { onDelete: 'CASCADE' });
+ApiToken.belongsTo(User);
+
+User.hasMany(UserToken, { onDelete: 'CASCADE' });
+UserToken.belongsTo(User);
+
+User.hasMany(AuditLog, { onDelete: 'SET NULL' });
+AuditLog.belongsTo(User);
+
+// Избранное. Мягко удалённый тур остаётся в избранном и снова появляется после восстановления
+User.hasMany(WishlistItem, { onDelete: 'CASCADE' });
+WishlistItem.belongsTo(User);
+Tour.hasMany(WishlistItem, { onDelete: 'CASCADE' });
+WishlistItem.belongsTo(Tour);
+User.hasMany(PriceAlert, { onDelete: 'CASCADE' });
+PriceAlert.belongsTo(User);
+Tour.hasMany(PriceAlert, { onDelete: 'CASCADE' });
+PriceAlert.belongsTo(Tour);
+
+// Оплата заказа: у заказа может быть несколько попыток, у оплаты — возвраты
+Order.hasMany(Payment, { onDelete: 'CASCADE' });
+Payment.belongsTo(Order);
+Payment.hasMany(Refund, { onDelete: 'CASCADE' });
+Refund.belongsTo(Payment);
+
+// Журнал изменений. Массовые операции внутри действий сотрудников выполняются
+// с хуками для каждой записи, чтобы в журнале было видно, что именно поменялось
+const AUDITED_MODELS = [
+  Tour, Departure, TourImage, City, Hotel, RoomType, Client,
+  Order, Review, PromoCode, Currency, User
+];
+const withIndividualHooks = (options) => {
+  if (AuditLog.context.getStore()) {
+    options.individualHooks = true;
+  }
+};
+for (const Model of AUDITED_MODELS) {
+  Model.beforeBulkCreate((instances, options) => withIndividualHooks(options));
+  Model.beforeBulkUpdate(withIndividualHooks);
+  Model.beforeBulkDestroy(withIndividualHooks);
+  Model.afterCreate((instance, options) => AuditLog.record('create', instance, options));
+  Model.afterUpdate((instance, options) => AuditLog.record('update', instance, options));
+  Model.afterDestroy((instance, options) => AuditLog.record('delete', instance, options));
+}
+Tour.afterRestore((instance, options) => AuditLog.record('restore', instance, options));
 
 module.exports = {
   sequelize,
@@ -28,5 +232,23 @@ module.exports = {
   Hotel,
   Client,
   Cart,
-  CartItem
+  CartItem,
+  Departure,
+  TourImage,
+  RoomType,
+  Review,
+  PromoCode,
+  Currency,
+  Notification,
+  Order,
+  OrderItem,
+  ApiToken,
+  UserToken,
+  AuditLog,
+  WishlistItem,
+  PriceAlert,
+  Payment,
+  Refund,
+  Session,
+  LoginThrottle
 };
\ No newline at end of file
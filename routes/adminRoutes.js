@@ -1,20 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const upload = require('../middleware/uploadMiddleware');
-const { requireRole } = require('../middleware/authMiddleware');
+const tourImportController = require('../controllers/tourImportController');
+const promoCodeController = require('../controllers/promoCodeController');
+const auditController = require('../controllers/auditController');
+const { uploadTourImages } = require('../middleware/uploadMiddleware');
+const { uploadImportFile } = require('../middleware/importMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
 
-router.get('/add-tour', requireRole('admin'), adminController.showAddTour);
-router.get('/add-hotel', requireRole('admin'), adminController.showAddHotel);
-router.get('/add-city', requireRole('admin'), adminController.showAddCity);
-router.get('/add-client', requireRole('admin'), adminController.showAddClient);
-router.get('/edit-tour/:id', requireRole('admin'), adminController.showEditTour);
+router.get('/add-tour', requirePermission('catalog.manage'), adminController.showAddTour);
+router.get('/add-hotel', requirePermission('catalog.manage'), adminController.showAddHotel);
+router.get('/add-city', requirePermission('catalog.manage'), adminController.showAddCity);
+router.get('/add-client', requirePermission('clients.manage'), adminController.showAddClient);
+router.get('/edit-tour/:id', requirePermission('catalog.manage'), adminController.showEditTour);
+router.get('/admin/cities', requirePermission('catalog.manage'), adminController.showCities);
+router.get('/admin/hotels', requirePermission('catalog.manage'), adminController.showHotels);
+router.get('/admin/clients', requirePermission('clients.read'), adminController.showClients);
+router.get('/edit-city/:id', requirePermission('catalog.manage'), adminController.showEditCity);
+router.get('/edit-hotel/:id', requirePermission('catalog.manage'), adminController.showEditHotel);
+router.get('/edit-client/:id', requirePermission('clients.read'), adminController.showEditClient);
+router.get('/delete-city/:id', requirePermission('catalog.manage'), adminController.showDeleteCity);
+router.get('/delete-hotel/:id', requirePermission('catalog.manage'), adminController.showDeleteHotel);
+router.get('/delete-client/:id', requirePermission('clients.manage'), adminController.showDeleteClient);
+router.get('/client-accounts', requirePermission('clients.read'), adminController.showClientAccounts);
+router.get('/edit-tour/:id/departures', requirePermission('catalog.manage'), adminController.showDepartures);
+router.get('/edit-hotel/:id/room-types', requirePermission('catalog.manage'), adminController.showRoomTypes);
+router.get('/import-tours', requirePermission('catalog.manage'), tourImportController.showImport);
+router.get('/export-tours', requirePermission('catalog.manage'), tourImportController.exportTours);
+router.get('/admin/promo-codes', requirePermission('promo-codes.manage'), promoCodeController.showPromoCodes);
+router.get('/add-promo-code', requirePermission('promo-codes.manage'), promoCodeController.showAddPromoCode);
+router.get('/admin/tours/deleted', requirePermission('catalog.manage'), adminController.showDeletedTours);
+router.get('/admin/audit', requirePermission('audit.read'), auditController.showAuditLog);
 
-router.post('/add-tour', requireRole('admin'), upload.single('image'), adminController.addTour);
-router.post('/add-hotel', requireRole('admin'), adminController.addHotel);
-router.post('/add-city', requireRole('admin'), adminController.addCity);
-router.post('/add-client', requireRole('admin'), adminController.addClient);
-router.post('/delete-tour/:id', requireRole('admin'), adminController.deleteTour);
-router.post('/edit-tour/:id', requireRole('admin'), upload.single('image'), adminController.updateTour);
+router.post('/add-tour', requirePermission('catalog.manage'), uploadTourImages, adminController.addTour);
+router.post('/add-hotel', requirePermission('catalog.manage'), adminController.addHotel);
+router.post('/add-city', requirePermission('catalog.manage'), adminController.addCity);
+router.post('/add-client', requirePermission('clients.manage'), adminController.addClient);
+router.post('/delete-tour/:id', requirePermission('catalog.manage'), adminController.deleteTour);
+router.post('/restore-tour/:id', requirePermission('catalog.manage'), adminController.restoreTour);
+router.post('/edit-city/:id', requirePermission('catalog.manage'), adminController.updateCity);
+router.post('/edit-hotel/:id', requirePermission('catalog.manage'), adminController.updateHotel);
+router.post('/edit-client/:id', requirePermission('clients.manage'), adminController.updateClient);
+router.post('/delete-city/:id', requirePermission('catalog.manage'), adminController.deleteCity);
+router.post('/delete-hotel/:id', requirePermission('catalog.manage'), adminController.deleteHotel);
+router.post('/delete-client/:id', requirePermission('clients.manage'), adminController.deleteClient);
+router.post('/edit-tour/:id', requirePermission('catalog.manage'), uploadTourImages, adminController.updateTour);
+router.post('/tour-images/:id/delete', requirePermission('catalog.manage'), adminController.deleteTourImage);
+router.post('/tour-images/:id/cover', requirePermission('catalog.manage'), adminController.setCoverImage);
+router.post('/tour-images/:id/move', requirePermission('catalog.manage'), adminController.moveTourImage);
+router.post('/edit-tour/:id/departures', requirePermission('catalog.manage'), adminController.addDeparture);
+router.post('/edit-departure/:id', requirePermission('catalog.manage'), adminController.updateDeparture);
+router.post('/delete-departure/:id', requirePermission('catalog.manage'), adminController.deleteDeparture);
+router.post('/edit-hotel/:id/room-types', requirePermission('catalog.manage'), adminController.addRoomType);
+router.post('/edit-room-type/:id', requirePermission('catalog.manage'), adminController.updateRoomType);
+router.post('/delete-room-type/:id', requirePermission('catalog.manage'), adminController.deleteRoomType);
+router.post('/link-client/:id', requirePermission('clients.manage'), adminController.linkClient);
+router.post('/import-tours/preview', requirePermission('catalog.manage'), uploadImportFile, tourImportController.previewImport);
+router.post('/import-tours/commit', requirePermission('catalog.manage'), tourImportController.commitImport);
+router.post('/add-promo-code', requirePermission('promo-codes.manage'), promoCodeController.addPromoCode);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const apiController = require('../controllers/apiController');
+const { requireApiToken, requireApiPermission } = require('../middleware/apiAuthMiddleware');
+
+const { tours, cities, hotels, clients } = apiController;
+
+router.post('/auth/token', apiController.issueToken);
+
+// Всё остальное API доступно только по токену
+router.use(requireApiToken);
+
+router.delete('/auth/token', apiController.revokeToken);
+
+router.get('/tours', tours.list);
+router.get('/tours/:id', tours.read);
+router.post('/tours', requireApiPermission('catalog.manage'), tours.create);
+router.put('/tours/:id', requireApiPermission('catalog.manage'), tours.update);
+router.delete('/tours/:id', requireApiPermission('catalog.manage'), tours.remove);
+
+router.get('/cities', cities.list);
+router.get('/cities/:id', cities.read);
+router.post('/cities', requireApiPermission('catalog.manage'), cities.create);
+router.put('/cities/:id', requireApiPermission('catalog.manage'), cities.update);
+router.delete('/cities/:id', requireApiPermission('catalog.manage'), cities.remove);
+
+router.get('/hotels', hotels.list);
+router.get('/hotels/:id', hotels.read);
+router.post('/hotels', requireApiPermission('catalog.manage'), hotels.create);
+router.put('/hotels/:id', requireApiPermission('catalog.manage'), hotels.update);
+router.delete('/hotels/:id', requireApiPermission('catalog.manage'), hotels.remove);
+
+router.get('/clients', requireApiPermission('clients.read'), clients.list);
+router.get('/clients/:id', requireApiPermission('clients.read'), clients.read);
+router.post('/clients', requireApiPermission('clients.manage'), clients.create);
+router.put('/clients/:id', requireApiPermission('clients.manage'), clients.update);
+router.delete('/clients/:id', requireApiPermission('clients.manage'), clients.remove);
+
+router.get('/cart', apiController.getCart);
+router.delete('/cart', apiController.clearCart);
+router.post('/cart/items', apiController.addCartItem);
+router.patch('/cart/items/:itemId', apiController.updateCartItem);
+router.delete('/cart/items/:itemId', apiController.removeCartItem);
+
+router.use(apiController.notFound);
+router.use(apiController.handleError);
+
+module.exports = router;
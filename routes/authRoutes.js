@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/authMiddleware');
 
 router.get('/login', authController.showLogin);
 router.get('/register', authController.showRegister);
-router.get('/logout', authController.logout);
+router.post('/logout', authController.logout);
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-email/resend', requireAuth, authController.resendVerification);
+router.get('/forgot-password', authController.showForgotPassword);
+router.post('/forgot-password', authController.forgotPassword);
+router.get('/reset-password/:token', authController.showResetPassword);
+router.post('/reset-password/:token', authController.resetPassword);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const cartController = require('../controllers/cartController');
-const { requireAuth } = require('../middleware/authMiddleware');
 
-router.get('/cart', requireAuth, cartController.showCart);
-router.post('/cart/add/:tourId', requireAuth, cartController.addToCart);
-router.post('/cart/remove/:itemId', requireAuth, cartController.removeFromCart);
+// Корзина доступна и гостям; оформление заказа (/checkout) — только после входа
+router.get('/cart', cartController.showCart);
+router.get('/cart/summary', cartController.getCartJson);
+router.post('/cart/add/:tourId', cartController.addToCart);
+router.post('/cart/items/:itemId/quantity', cartController.updateQuantity);
+router.post('/cart/remove/:itemId', cartController.removeFromCart);
+router.post('/cart/clear', cartController.clearCart);
+router.post('/cart/promo', cartController.applyPromo);
+router.post('/cart/promo/remove', cartController.removePromo);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
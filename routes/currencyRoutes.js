@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+const { uploadImportFile } = require('../middleware/importMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+router.post('/currency', currencyController.selectCurrency);
+
+router.get('/admin/currencies', requirePermission('currencies.manage'), currencyController.showCurrencies);
+router.post('/add-currency', requirePermission('currencies.manage'), currencyController.addCurrency);
+router.post('/edit-currency/:id', requirePermission('currencies.manage'), currencyController.updateCurrency);
+router.post('/import-currencies', requirePermission('currencies.manage'), uploadImportFile, currencyController.importCurrencies);
+
+module.exports = router;
@@ -4,19 +4,35 @@ const router = express.Router();
 const authRoutes = require('./authRoutes');
 const tourRoutes = require('./tourRoutes');
 const cartRoutes = require('./cartRoutes');
+const wishlistRoutes = require('./wishlistRoutes');
 const profileRoutes = require('./profileRoutes');
 const adminRoutes = require('./adminRoutes');
+const orderRoutes = require('./orderRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const reviewRoutes = require('./reviewRoutes');
+const currencyRoutes = require('./currencyRoutes');
+const localeRoutes = require('./localeRoutes');
+const userRoutes = require('./userRoutes');
+const apiRoutes = require('./apiRoutes');
 
 router.use('/', authRoutes);
 router.use('/', tourRoutes);
 router.use('/', cartRoutes);
+router.use('/', wishlistRoutes);
 router.use('/', profileRoutes);
 router.use('/', adminRoutes);
+router.use('/', orderRoutes);
+router.use('/', paymentRoutes);
+router.use('/', reviewRoutes);
+router.use('/', currencyRoutes);
+router.use('/', localeRoutes);
+router.use('/', userRoutes);
+router.use('/api/v1', apiRoutes);
 
 // 404 handler
 router.use((req, res) => {
   res.status(404).render('404', { 
-    title: 'Страница не найдена',
+    title: req.t('errors.notFound'),
     user: req.session.user
   });
 });
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const localeController = require('../controllers/localeController');
+
+router.post('/locale', localeController.selectLocale);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const { requireAuth, requirePermission } = require('../middleware/authMiddleware');
+
+router.post('/checkout', requireAuth, orderController.checkout);
+router.post('/orders/:id/cancel', requireAuth, orderController.cancelOrder);
+
+router.get('/admin/orders', requirePermission('orders.read'), orderController.showOrders);
+router.post('/admin/orders/:id/status', requirePermission('orders.manage'), orderController.updateOrderStatus);
+
+module.exports = router;
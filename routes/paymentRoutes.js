@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+router.post('/orders/:id/pay', requireAuth, paymentController.payOrder);
+router.get('/payments/:id/return', requireAuth, paymentController.showResult);
+
+// Уведомления приходят от провайдера, без сессии пользователя
+router.post('/payments/webhook/:provider', paymentController.webhook);
+
+// Платёжная страница имитации провайдера — только вне production
+if (process.env.NODE_ENV !== 'production') {
+  router.get('/payments/mock/:id', paymentController.showMockCheckout);
+  router.post('/payments/mock/:id', paymentController.submitMockCheckout);
+}
+
+module.exports = router;
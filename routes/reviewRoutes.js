@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { requireAuth, requirePermission } = require('../middleware/authMiddleware');
+
+router.get('/tours/:id/reviews', reviewController.showTourReviews);
+router.post('/tours/:id/reviews', requireAuth, reviewController.submitReview);
+
+router.get('/admin/reviews', requirePermission('reviews.moderate'), reviewController.showModeration);
+router.post('/admin/reviews/:id/status', requirePermission('reviews.moderate'), reviewController.moderateReview);
+
+module.exports = router;
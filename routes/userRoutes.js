@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+router.get('/admin/users', requirePermission('users.manage'), userController.showUsers);
+router.post('/admin/users/:id/role', requirePermission('users.manage'), userController.updateRole);
+router.post('/admin/users/:id/disable', requirePermission('users.manage'), userController.disableUser);
+router.post('/admin/users/:id/enable', requirePermission('users.manage'), userController.enableUser);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const wishlistController = require('../controllers/wishlistController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+router.get('/profile/wishlist', requireAuth, wishlistController.showWishlist);
+router.post('/wishlist/add/:tourId', requireAuth, wishlistController.addToWishlist);
+router.post('/wishlist/remove/:tourId', requireAuth, wishlistController.removeFromWishlist);
+
+module.exports = router;
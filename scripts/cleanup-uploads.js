@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { sequelize, TourImage } = require('../models');
+const imageService = require('../services/imageService');
+
+const UPLOADS_DIR = path.join(__dirname, '../public/uploads');
+
+// Удаляет из public/uploads файлы, на которые не ссылается ни одно изображение тура.
+// node scripts/cleanup-uploads.js [--dry-run]
+(async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const images = await TourImage.findAll({ attributes: ['path', 'thumbnailPath'] });
+    const referenced = new Set(images.flatMap(image => [image.path, image.thumbnailPath]));
+
+    const entries = await fs.readdir(UPLOADS_DIR, { recursive: true, withFileTypes: true }).catch(() => []);
+    const orphans = entries
+      .filter(entry => entry.isFile())
+      .map(entry => '/' + path.relative(path.join(UPLOADS_DIR, '..'), path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'))
+      .filter(publicPath => !referenced.has(publicPath));
+
+    orphans.forEach(publicPath => console.log(`${dryRun ? 'Would remove' : 'Removing'} ${publicPath}`));
+    if (!dryRun) {
+      await imageService.removeFiles(...orphans);
+    }
+    console.log(`Orphaned files: ${orphans.length}`);
+  } catch (error) {
+    console.error('Cleanup failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
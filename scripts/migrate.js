@@ -0,0 +1,28 @@
+const migrator = require('../config/migrator');
+const { sequelize } = require('../models');
+
+// node scripts/migrate.js [up|down|status]
+(async () => {
+  const command = process.argv[2] || 'up';
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up();
+      console.log(applied.length ? `Applied: ${applied.map(m => m.name).join(', ')}` : 'No pending migrations');
+    } else if (command === 'down') {
+      const reverted = await migrator.down();
+      console.log(reverted.length ? `Reverted: ${reverted.map(m => m.name).join(', ')}` : 'Nothing to revert');
+    } else if (command === 'status') {
+      const executed = await migrator.executed();
+      const pending = await migrator.pending();
+      executed.forEach(m => console.log(`  up      ${m.name}`));
+      pending.forEach(m => console.log(`  pending ${m.name}`));
+    } else {
+      throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
@@ -0,0 +1,16 @@
+const migrator = require('../config/migrator');
+const seedDemoData = require('../seeders/demo');
+const { sequelize } = require('../models');
+
+(async () => {
+  try {
+    await migrator.up();
+    await seedDemoData();
+    console.log('Demo data seeded');
+  } catch (error) {
+    console.error('Seeding failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
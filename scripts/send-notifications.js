@@ -0,0 +1,20 @@
+const { sequelize } = require('../models');
+const notificationService = require('../services/notificationService');
+
+// Разовая отправка писем из очереди, например по cron без запущенного сервера.
+// node scripts/send-notifications.js [--retry-failed]
+(async () => {
+  try {
+    if (process.argv.includes('--retry-failed')) {
+      const count = await notificationService.retryFailed();
+      console.log(`Requeued failed notifications: ${count}`);
+    }
+    const sent = await notificationService.processQueue();
+    console.log(`Processed notifications: ${sent}`);
+  } catch (error) {
+    console.error('Sending notifications failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+})();
@@ -0,0 +1,102 @@
+const { sequelize, User, City, Hotel, RoomType, Client, Tour, Departure, Currency } = require('../models');
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Демонстрационные данные. Повторный запуск ничего не дублирует:
+// записи ищутся по естественным ключам и создаются только при отсутствии.
+const seedDemoData = () => sequelize.transaction(async (transaction) => {
+  const findOrCreate = async (Model, where, defaults = {}) => {
+    const [record] = await Model.findOrCreate({ where, defaults, transaction });
+    return record;
+  };
+
+  // Рубль как базовая валюта создаётся миграцией; курсы примерные
+  await findOrCreate(Currency, { code: 'EUR' }, { name: 'Евро', symbol: '€', rate: 100 });
+  await findOrCreate(Currency, { code: 'USD' }, { name: 'Доллар США', symbol: '$', rate: 90 });
+
+  const moscow = await findOrCreate(City, { name: 'Москва', country: 'Россия' });
+  const paris = await findOrCreate(City, { name: 'Париж', country: 'Франция' });
+
+  await findOrCreate(User, { username: 'admin' }, {
+    password: 'adminpass',
+    role: 'admin',
+    email: 'admin@sinktravel.local',
+    emailVerifiedAt: new Date()
+  });
+  await findOrCreate(User, { username: 'manager' }, { password: 'managerpass', role: 'manager' });
+  await findOrCreate(User, { username: 'support' }, { password: 'supportpass', role: 'support' });
+  const clientUser = await findOrCreate(User, { username: 'client' }, {
+    password: 'clientpass',
+    role: 'client',
+    email: 'ivan@example.com',
+    emailVerifiedAt: new Date()
+  });
+
+  const moscowHotel = await findOrCreate(Hotel, { name: 'Отель Москва' }, {
+    stars: 5,
+    address: 'ул. Тверская, 1',
+    CityId: moscow.id
+  });
+  const parisHotel = await findOrCreate(Hotel, { name: 'Отель Париж' }, {
+    stars: 4,
+    address: 'ул. Елисейские поля, 10',
+    CityId: paris.id
+  });
+
+  const roomTypes = [
+    { name: 'Одноместный', capacity: 1, priceSupplement: 5000 },
+    { name: 'Двухместный', capacity: 2, priceSupplement: 0 },
+    { name: 'Семейный', capacity: 4, priceSupplement: 3000 }
+  ];
+  for (const hotel of [moscowHotel, parisHotel]) {
+    for (const { name, ...defaults } of roomTypes) {
+      await findOrCreate(RoomType, { HotelId: hotel.id, name }, defaults);
+    }
+  }
+
+  const ivan = await findOrCreate(Client, { email: 'ivan@example.com' }, {
+    name: 'Иван Иванов',
+    phone: '+79991234567',
+    UserId: clientUser.id
+  });
+  const maria = await findOrCreate(Client, { email: 'maria@example.com' }, {
+    name: 'Мария Петрова',
+    phone: '+79997654321'
+  });
+
+  const moscowTour = await findOrCreate(Tour, { name: 'Экскурсия по Москве' }, {
+    description: 'Обзорная экскурсия по главным достопримечательностям Москвы.',
+    nameEn: 'Moscow sightseeing tour',
+    descriptionEn: 'A guided tour of the main sights of Moscow.',
+    price: 15000.0,
+    duration: 3,
+    CityId: moscow.id,
+    HotelId: moscowHotel.id,
+    ClientId: ivan.id
+  });
+  const parisTour = await findOrCreate(Tour, { name: 'Романтический Париж' }, {
+    description: 'Тур для влюблённых по самому романтичному городу мира.',
+    nameEn: 'Romantic Paris',
+    descriptionEn: 'A tour for couples in the most romantic city in the world.',
+    price: 45000.0,
+    duration: 7,
+    CityId: paris.id,
+    HotelId: parisHotel.id,
+    ClientId: maria.id
+  });
+
+  const departures = [
+    { tour: moscowTour, days: [14, 45], seats: 20 },
+    { tour: parisTour, days: [30, 60], seats: 10 }
+  ];
+  for (const { tour, days, seats } of departures) {
+    if (await Departure.count({ where: { TourId: tour.id }, transaction }) === 0) {
+      await Departure.bulkCreate(
+        days.map(day => ({ TourId: tour.id, startDate: daysFromNow(day), seats })),
+        { transaction }
+      );
+    }
+  }
+});
+
+module.exports = seedDemoData;
@@ -1,7 +1,11 @@
 const express = require('express');
 const path = require('path');
 const session = require('express-session');
-const { sequelize, User, City, Hotel, Client, Tour } = require('./models');
+const migrator = require('./config/migrator');
+const authConfig = require('./config/auth');
+const DatabaseSessionStore = require('./services/sessionStore');
+const notificationService = require('./services/notificationService');
+const cartService = require('./services/cartService');
 
 const app = express();
 const PORT = 3000;
@@ -9,74 +13,71 @@ const PORT = 3000;
 // Middleware
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
+if (authConfig.session.trustProxy) {
+  app.set('trust proxy', 1);
+}
 
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// Для уведомлений платёжных провайдеров сохраняется исходное тело: по нему проверяется подпись
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    if (req.originalUrl.startsWith('/payments/webhook/')) {
+      req.rawBody = buffer.toString('utf8');
+    }
+  }
+}));
+// Сессии хранятся в базе и переживают перезапуск; пустые сессии гостей не сохраняются.
+// Каждый запрос продлевает сессию на maxAge
 app.use(session({
-  secret: 'SinkSpace',
+  secret: authConfig.session.secret,
+  store: new DatabaseSessionStore({
+    ttl: authConfig.session.maxAge,
+    cleanupInterval: authConfig.session.cleanupInterval
+  }),
   resave: false,
-  saveUninitialized: true,
-  cookie: { secure: false }
+  saveUninitialized: false,
+  rolling: true,
+  cookie: {
+    maxAge: authConfig.session.maxAge,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: authConfig.session.secureCookie
+  }
 }));
 
 // Custom middleware
-const { setUserLocals } = require('./middleware/authMiddleware');
+const { refreshSessionUser, setUserLocals } = require('./middleware/authMiddleware');
+app.use(refreshSessionUser);
 app.use(setUserLocals);
+app.use(require('./middleware/localeMiddleware').localeLocals);
+app.use(require('./middleware/currencyMiddleware').currencyLocals);
+
+// Защита от подделки запросов: проверяется после выбора языка, чтобы ошибка была переведена
+const { csrfLocals, verifyCsrf } = require('./middleware/csrfMiddleware');
+app.use(csrfLocals);
+app.use(verifyCsrf);
 
 // Routes
 app.use(require('./routes'));
 
+// Ошибки, возникшие до роутера API (например, некорректный JSON), тоже отдаются в JSON
+app.use('/api/v1', require('./controllers/apiController').handleError);
+
 // Database initialization and server start
 (async () => {
   try {
-    await sequelize.sync({ force: true });
-
-    // Seed data
-    await City.bulkCreate([
-      { name: 'Москва', country: 'Россия' },
-      { name: 'Париж', country: 'Франция' },
-    ]);
-
-    await User.bulkCreate([
-      { username: 'admin', password: 'adminpass', role: 'admin' },
-      { username: 'client', password: 'clientpass', role: 'client' },
-    ], { individualHooks: true });
-
-    await Hotel.bulkCreate([
-      { name: 'Отель Москва', stars: 5, address: 'ул. Тверская, 1' },
-      { name: 'Отель Париж', stars: 4, address: 'ул. Елисейские поля, 10' },
-    ]);
-
-    await Client.bulkCreate([
-      { name: 'Иван Иванов', email: 'ivan@example.com', phone: '+79991234567' },
-      { name: 'Мария Петрова', email: 'maria@example.com', phone: '+79997654321' },
-    ]);
-
-    await Tour.bulkCreate([
-      {
-        name: 'Экскурсия по Москве',
-        description: 'Обзорная экскурсия по главным достопримечательностям Москвы.',
-        price: 15000.0,
-        duration: 3,
-        CityId: 1,
-        HotelId: 1,
-        ClientId: 1,
-      },
-      {
-        name: 'Романтический Париж',
-        description: 'Тур для влюблённых по самому романтичному городу мира.',
-        price: 45000.0,
-        duration: 7,
-        CityId: 2,
-        HotelId: 2,
-        ClientId: 2,
-      },
-    ]);
+    // Применяем новые миграции; данные при перезапуске не трогаются
+    await migrator.up();
 
     app.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
     });
+
+    // Фоновая отправка писем из очереди, включая повторные попытки
+    notificationService.startWorker();
+    // Удаление заброшенных корзин гостей
+    cartService.startGuestCartCleanup();
   } catch (error) {
     console.error('Error initializing database:', error);
   }
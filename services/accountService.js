@@ -0,0 +1,113 @@
+const { sequelize, User, UserToken, Client, Tour } = require('../models');
+const notificationService = require('./notificationService');
+const mailConfig = require('../config/mail');
+
+class AccountError extends Error {}
+
+const link = (path) => `${mailConfig.appUrl.replace(/\/$/, '')}${path}`;
+
+// Одноразовый токен можно погасить только один раз, даже при параллельных запросах
+const consume = async (userToken, transaction) => {
+  const [count] = await UserToken.update(
+    { usedAt: new Date() },
+    { where: { id: userToken.id, usedAt: null }, transaction }
+  );
+  if (count === 0) {
+    throw new AccountError('auth.linkUsed');
+  }
+};
+
+// При регистрации ссылка подтверждения уходит в приветственном письме, иначе — отдельным
+const sendVerification = async (user, { transaction, template = 'verify-email', data = {} } = {}) => {
+  if (!user.email || user.emailVerifiedAt) {
+    return null;
+  }
+  const token = await UserToken.issue(user, 'verify-email', { transaction });
+  return notificationService.notify(template, user.email, {
+    ...data,
+    username: user.username,
+    link: link(`/verify-email/${token}`)
+  }, { transaction, locale: user.locale });
+};
+
+// Карточку клиента, которую админ завёл на этот email, получает только владелец
+// подтверждённого адреса: её туры переходят к нему вместе с карточкой, а пустая
+// карточка из регистрации удаляется
+const linkClientCard = async (user, transaction) => {
+  const card = await Client.findOne({ where: { email: user.email, UserId: null }, transaction });
+  if (!card) {
+    return;
+  }
+  const own = await Client.findOne({ where: { UserId: user.id }, transaction });
+  if (own) {
+    await Tour.update({ ClientId: card.id }, { where: { ClientId: own.id }, paranoid: false, transaction });
+    await own.destroy({ transaction });
+  }
+  await card.update({ UserId: user.id, phone: card.phone || (own && own.phone) }, { transaction });
+};
+
+const verifyEmail = (token) => sequelize.transaction(async (transaction) => {
+  const userToken = await UserToken.findValid(token, 'verify-email', { transaction });
+  const user = userToken && await User.findByPk(userToken.UserId, { transaction });
+  if (!user || user.email !== userToken.email) {
+    throw new AccountError('auth.verifyLinkInvalid');
+  }
+  await consume(userToken, transaction);
+  await user.update({ emailVerifiedAt: new Date() }, { transaction });
+  await linkClientCard(user, transaction);
+  return user;
+});
+
+// Ответ не зависит от того, найден ли адрес, чтобы по форме нельзя было перебирать email
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ where: { email: String(email || '').trim().toLowerCase() } });
+  if (!user) {
+    return;
+  }
+  await sequelize.transaction(async (transaction) => {
+    const token = await UserToken.issue(user, 'password-reset', { transaction });
+    await notificationService.notify('password-reset', user.email, {
+      username: user.username,
+      link: link(`/reset-password/${token}`),
+      hours: UserToken.TTL['password-reset'] / (60 * 60 * 1000)
+    }, { transaction, locale: user.locale });
+  });
+};
+
+const findResetToken = (token) => UserToken.findValid(token, 'password-reset');
+
+// Новый пароль хешируется хуком beforeUpdate модели User
+const resetPassword = (token, password) => sequelize.transaction(async (transaction) => {
+  const userToken = await UserToken.findValid(token, 'password-reset', { transaction });
+  const user = userToken && await User.findByPk(userToken.UserId, { transaction });
+  if (!user) {
+    throw new AccountError('auth.resetLinkInvalid');
+  }
+  await consume(userToken, transaction);
+
+  const updateData = { password };
+  // Переход по ссылке из письма заодно подтверждает адрес
+  if (!user.emailVerifiedAt && user.email === userToken.email) {
+    updateData.emailVerifiedAt = new Date();
+  }
+  await user.update(updateData, { transaction });
+  if (updateData.emailVerifiedAt) {
+    await linkClientCard(user, transaction);
+  }
+
+  // Остальные выданные ссылки сброса больше не действуют
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { UserId: user.id, purpose: 'password-reset', usedAt: null }, transaction }
+  );
+  return user;
+});
+
+module.exports = {
+  AccountError,
+  sendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  findResetToken,
+  resetPassword
+};
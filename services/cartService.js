@@ -0,0 +1,315 @@
+const { Op } = require('sequelize');
+const { sequelize, Cart, CartItem, Tour, City, Hotel, Departure, RoomType, PromoCode, Client, User } = require('../models');
+const cartConfig = require('../config/cart');
+const promoService = require('./promoService');
+const currencyService = require('./currencyService');
+const notificationService = require('./notificationService');
+const i18nService = require('./i18nService');
+
+class CartError extends Error {
+  constructor(message, status = 400, params = {}) {
+    super(message);
+    this.status = status;
+    this.params = params;
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Владелец корзины — { userId } для пользователя или { guestCartId } для гостя:
+// id гостевой корзины хранится в его сессии
+const cartWhere = (owner) => (owner.userId
+  ? { UserId: owner.userId }
+  : { id: owner.guestCartId || null, UserId: null, expiresAt: { [Op.gt]: new Date() } });
+
+const guestExpiry = () => new Date(Date.now() + cartConfig.guestTtl);
+
+// Каждое изменение гостевой корзины продлевает её жизнь
+const touchCart = (owner, cart) => (owner.userId ? cart : cart.update({ expiresAt: guestExpiry() }));
+
+const findOrCreateCart = async (owner) => {
+  if (owner.userId) {
+    const [cart] = await Cart.findOrCreate({ where: { UserId: owner.userId } });
+    return cart;
+  }
+  const cart = await Cart.findOne({ where: cartWhere(owner) });
+  return cart
+    ? touchCart(owner, cart)
+    : Cart.create({ expiresAt: guestExpiry() });
+};
+
+// id из адреса или тела запроса; нечисловое значение не должно доходить до базы
+const toId = (value) => (/^\d+$/.test(String(value)) ? Number(value) : null);
+
+const findTour = async (tourId) => {
+  const tour = await Tour.findByPk(toId(tourId), { include: { model: Hotel, include: RoomType } });
+  if (!tour) {
+    throw new CartError('cart.tourNotFound', 404);
+  }
+  return tour;
+};
+
+// Позиция ищется только в корзине владельца, поэтому чужую позицию не изменить и не удалить
+const findItem = async (owner, itemId) => {
+  const item = await CartItem.findOne({
+    where: { id: toId(itemId) },
+    include: [{ model: Cart, where: cartWhere(owner), attributes: ['id'] }, Tour, Departure]
+  });
+  if (!item) {
+    throw new CartError('cart.itemNotFound', 404);
+  }
+  return item;
+};
+
+// Суммы корзины возвращаются в базовой валюте. Промокод остаётся в корзине, даже если
+// перестал подходить: вместо скидки возвращается причина, по которой он не применён,
+// в виде { key, params } для перевода. Оформление заказа читает корзину в своей транзакции
+const getCart = async (owner, { transaction } = {}) => {
+  const cart = await Cart.findOne({
+    where: cartWhere(owner),
+    transaction,
+    include: [
+      {
+        model: CartItem,
+        include: [
+          { model: Tour, include: [City, Hotel] },
+          Departure,
+          RoomType
+        ]
+      },
+      { model: PromoCode, include: [City, Tour] }
+    ]
+  });
+
+  const items = cart && cart.CartItems ? cart.CartItems : [];
+  // Туры могут быть в разных валютах, поэтому итоги считаются в базовой
+  const rates = await currencyService.getRates();
+  items.forEach(item => {
+    const supplement = item.RoomType ? Number(item.RoomType.priceSupplement) : 0;
+    item.basePrice = currencyService.toBase(item.Tour.price, item.Tour.currency, rates) + supplement;
+  });
+  const subtotal = Math.round(items.reduce((sum, item) => sum + (item.basePrice * item.quantity), 0) * 100) / 100;
+  const promo = cart ? cart.PromoCode : null;
+
+  let discount = 0;
+  let promoError = null;
+  if (promo && items.length > 0) {
+    try {
+      discount = promoService.calculateDiscount(promo, items);
+    } catch (error) {
+      if (!(error instanceof promoService.PromoError)) {
+        throw error;
+      }
+      promoError = { key: error.message, params: error.params };
+    }
+  }
+
+  const total = Math.round((subtotal - discount) * 100) / 100;
+  return { cart, items, subtotal, discount, promo, promoError, total };
+};
+
+// Тип номера обязателен, если у отеля тура они заведены
+const findRoomType = (tour, roomTypeId) => {
+  const roomTypes = tour.Hotel ? tour.Hotel.RoomTypes : [];
+  if (roomTypes.length === 0) {
+    return null;
+  }
+
+  const roomType = roomTypes.find(item => item.id === Number(roomTypeId));
+  if (!roomType) {
+    throw new CartError('cart.chooseRoomType');
+  }
+  return roomType;
+};
+
+const addItem = async (owner, tourId, departureId, roomTypeId) => {
+  const tour = await findTour(tourId);
+  const departure = await Departure.findOne({
+    where: {
+      id: toId(departureId),
+      TourId: tour.id,
+      startDate: { [Op.gt]: today() }
+    }
+  });
+
+  if (!departure) {
+    throw new CartError('cart.chooseDeparture');
+  }
+
+  const roomType = findRoomType(tour, roomTypeId);
+  const cart = await findOrCreateCart(owner);
+  const identity = {
+    CartId: cart.id,
+    TourId: tour.id,
+    DepartureId: departure.id,
+    RoomTypeId: roomType ? roomType.id : null
+  };
+
+  const cartItem = await CartItem.findOne({ where: identity });
+
+  const quantity = cartItem ? cartItem.quantity + 1 : 1;
+  if (departure.seatsAvailable < quantity) {
+    throw new CartError('cart.noSeats');
+  }
+
+  if (cartItem) {
+    return cartItem.update({ quantity });
+  }
+
+  const created = await CartItem.create(identity);
+  // Напоминание отправляется только о новом туре в корзине, а не о каждом увеличении количества.
+  // Гостю писать некуда
+  const client = owner.userId
+    ? await Client.findOne({ where: { UserId: owner.userId }, include: { model: User, attributes: ['locale'] } })
+    : null;
+  if (client) {
+    const locale = (client.User && client.User.locale) || i18nService.DEFAULT_LOCALE;
+    await notificationService.notify('cart-reminder', client.email, {
+      name: client.name,
+      tourName: i18nService.localize(locale, tour, 'name'),
+      departureDate: i18nService.formatDate(locale, departure.startDate)
+    }, { locale });
+  }
+  return created;
+};
+
+const applyPromo = async (owner, code) => {
+  const promo = await promoService.findByCode(code);
+  if (!promo) {
+    throw new CartError('promo.notFound', 404);
+  }
+
+  // Корзина гостя могла только что появиться, поэтому ищется по id
+  const cart = await findOrCreateCart(owner);
+  const { items } = await getCart({ ...owner, guestCartId: cart.id });
+  try {
+    promoService.calculateDiscount(promo, items);
+  } catch (error) {
+    if (error instanceof promoService.PromoError) {
+      throw new CartError(error.message, 400, error.params);
+    }
+    throw error;
+  }
+
+  await cart.update({ PromoCodeId: promo.id });
+  return cart;
+};
+
+const removePromo = async (owner) => {
+  await Cart.update({ PromoCodeId: null }, { where: cartWhere(owner) });
+};
+
+// Количество мест ограничено свободными местами на дату; позицию с удалённым туром
+// изменить нельзя, только убрать из корзины
+const setQuantity = async (owner, itemId, quantity) => {
+  const value = Number(quantity);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new CartError('cart.invalidQuantity');
+  }
+
+  const item = await findItem(owner, itemId);
+  if (!item.Tour) {
+    throw new CartError('cart.tourNotFound', 404);
+  }
+  if (item.Departure && item.Departure.seatsAvailable < value) {
+    throw new CartError('cart.notEnoughSeats', 400, { count: item.Departure.seatsAvailable });
+  }
+
+  await touchCart(owner, item.Cart);
+  return item.update({ quantity: value });
+};
+
+const removeItem = async (owner, itemId) => {
+  const item = await findItem(owner, itemId);
+  await touchCart(owner, item.Cart);
+  await item.destroy();
+};
+
+// Очистка убирает из корзины и позиции, и промокод
+const clearCart = async (owner) => {
+  const cart = await Cart.findOne({ where: cartWhere(owner) });
+  if (!cart) {
+    return;
+  }
+  await sequelize.transaction(async (transaction) => {
+    await CartItem.destroy({ where: { CartId: cart.id }, transaction });
+    await cart.update({ PromoCodeId: null }, { transaction });
+  });
+};
+
+// Переносит корзину гостя в корзину пользователя при входе. Одинаковые позиции
+// (тур, дата, тип номера) складываются, остальные переезжают как есть; промокод гостя
+// переносится, если у пользователя своего нет. Хватит ли мест, проверит оформление заказа
+const mergeGuestCart = async (guestCartId, userId) => {
+  if (!guestCartId) {
+    return;
+  }
+  await sequelize.transaction(async (transaction) => {
+    const guestCart = await Cart.findOne({
+      where: cartWhere({ guestCartId }),
+      include: CartItem,
+      transaction
+    });
+    if (!guestCart) {
+      return;
+    }
+
+    const [cart] = await Cart.findOrCreate({ where: { UserId: userId }, transaction });
+    for (const item of guestCart.CartItems) {
+      const existing = await CartItem.findOne({
+        where: {
+          CartId: cart.id,
+          TourId: item.TourId,
+          DepartureId: item.DepartureId,
+          RoomTypeId: item.RoomTypeId
+        },
+        transaction
+      });
+      if (existing) {
+        await existing.update({ quantity: existing.quantity + item.quantity }, { transaction });
+        await item.destroy({ transaction });
+      } else {
+        await item.update({ CartId: cart.id }, { transaction });
+      }
+    }
+
+    if (guestCart.PromoCodeId && !cart.PromoCodeId) {
+      await cart.update({ PromoCodeId: guestCart.PromoCodeId }, { transaction });
+    }
+    await guestCart.destroy({ transaction });
+  });
+};
+
+const purgeExpiredGuestCarts = async () => {
+  const expired = { UserId: null, expiresAt: { [Op.lte]: new Date() } };
+  const carts = await Cart.findAll({ where: expired, attributes: ['id'] });
+  if (carts.length === 0) {
+    return 0;
+  }
+  const ids = carts.map(cart => cart.id);
+  await CartItem.destroy({ where: { CartId: ids } });
+  return Cart.destroy({ where: { id: ids } });
+};
+
+const startGuestCartCleanup = () => {
+  const run = () => purgeExpiredGuestCarts()
+    .catch(error => console.error('Error purging expired guest carts:', error));
+  const timer = setInterval(run, cartConfig.cleanupInterval);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  CartError,
+  getCart,
+  addItem,
+  setQuantity,
+  removeItem,
+  clearCart,
+  applyPromo,
+  removePromo,
+  mergeGuestCart,
+  purgeExpiredGuestCarts,
+  startGuestCartCleanup
+};
@@ -0,0 +1,97 @@
+const { sequelize, Currency } = require('../models');
+const i18nService = require('./i18nService');
+
+// Курсы всех валют задаются относительно базовой; в ней считаются итоги корзины и заказы
+const BASE_CURRENCY = 'RUB';
+
+// Сообщение — ключ каталога переводов; details — ошибки по строкам файла с курсами
+class CurrencyError extends Error {
+  constructor(message, params = {}, details = []) {
+    super(message);
+    this.params = params;
+    this.details = details;
+  }
+}
+
+// Справочник курсов в виде { RUB: currency, EUR: currency, ... }
+const getRates = async () => {
+  const currencies = await Currency.findAll({ order: [['code', 'ASC']] });
+  return currencies.reduce((rates, currency) => {
+    rates[currency.code] = currency;
+    return rates;
+  }, {});
+};
+
+const convert = (amount, from, to, rates) => {
+  if (from === to) {
+    return Number(amount);
+  }
+  const source = rates[from];
+  const target = rates[to];
+  if (!source || !target) {
+    throw new CurrencyError('currencies.noRate', { code: source ? to : from });
+  }
+  return Math.round(Number(amount) * Number(source.rate) / Number(target.rate) * 100) / 100;
+};
+
+const toBase = (amount, from, rates) => convert(amount, from, BASE_CURRENCY, rates);
+
+// Число записывается по правилам языка интерфейса; письма форматируются по-русски
+const format = (amount, code, rates, locale = i18nService.DEFAULT_LOCALE) => {
+  const currency = rates[code];
+  return `${i18nService.formatNumber(locale, amount)} ${currency ? currency.symbol : code}`;
+};
+
+const toNumber = (value) => Number(String(value === undefined || value === null ? '' : value).replace(',', '.').trim());
+
+// Загружает курсы из разобранного файла: существующие валюты обновляются, новые создаются.
+// Курс базовой валюты всегда равен 1 и из файла не меняется.
+const importRates = (rows) => sequelize.transaction(async (transaction) => {
+  const errors = [];
+  const records = rows.map((row, index) => {
+    const code = String(row.code || '').trim().toUpperCase();
+    const rate = toNumber(row.rate);
+    if (!/^[A-Z]{3}$/.test(code)) {
+      errors.push({ key: 'currencies.import.badCode', params: { row: index + 1, code: row.code || '' } });
+    } else if (!(rate > 0)) {
+      errors.push({ key: 'currencies.import.badRate', params: { row: index + 1, code } });
+    } else if (code === BASE_CURRENCY && rate !== 1) {
+      errors.push({ key: 'currencies.import.baseRate', params: { row: index + 1, code: BASE_CURRENCY } });
+    }
+    return { code, rate, name: String(row.name || '').trim(), symbol: String(row.symbol || '').trim() };
+  });
+  if (errors.length > 0) {
+    throw new CurrencyError('currencies.import.invalid', {}, errors);
+  }
+
+  let created = 0;
+  for (const record of records) {
+    const currency = await Currency.findOne({ where: { code: record.code }, transaction });
+    if (currency) {
+      await currency.update({
+        rate: record.rate,
+        name: record.name || currency.name,
+        symbol: record.symbol || currency.symbol
+      }, { transaction });
+    } else {
+      await Currency.create({
+        code: record.code,
+        rate: record.rate,
+        name: record.name || record.code,
+        symbol: record.symbol || record.code
+      }, { transaction });
+      created++;
+    }
+  }
+  return { updated: records.length - created, created };
+});
+
+module.exports = {
+  BASE_CURRENCY,
+  CurrencyError,
+  getRates,
+  convert,
+  toBase,
+  format,
+  importRates
+};
@@ -0,0 +1,93 @@
+const ru = require('../locales/ru');
+const en = require('../locales/en');
+
+// Русский — основной язык: в нём заполнены все тексты и данные туров
+const DEFAULT_LOCALE = 'ru';
+
+const CATALOGS = { ru, en };
+const LOCALES = Object.keys(CATALOGS);
+
+// Региональные теги для Intl: формат дат, чисел и правила множественного числа
+const LOCALE_TAGS = {
+  ru: 'ru-RU',
+  en: 'en-GB'
+};
+
+// Поле записи с переводом на язык интерфейса: name → nameEn
+const LOCALIZED_SUFFIXES = {
+  en: 'En'
+};
+
+const isLocale = (locale) => LOCALES.includes(locale);
+
+const lookup = (catalog, key) => String(key).split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) =>
+  (params[name] === undefined || params[name] === null ? match : params[name]));
+
+// Перевод по ключу вида 'cart.added' с подстановкой {параметров}. Вместо ключа можно передать
+// объект { key, params } — так сообщения с параметрами возвращают сервисы и правила проверки форм.
+// Ключа нет в каталоге языка — берётся русский текст, нет и его — ключ выводится как есть.
+// Значение-объект { one, few, many, other } выбирается по params.count
+const translate = (locale, message, params = {}) => {
+  if (message && typeof message === 'object') {
+    return translate(locale, message.key, { ...message.params, ...params });
+  }
+  let value = lookup(CATALOGS[locale], message);
+  if (value === undefined) {
+    value = lookup(CATALOGS[DEFAULT_LOCALE], message);
+  }
+  if (value === undefined || value === null) {
+    return message === undefined || message === null ? '' : String(message);
+  }
+  if (typeof value === 'object') {
+    const form = new Intl.PluralRules(LOCALE_TAGS[locale]).select(Number(params.count));
+    value = value[form] || value.other;
+  }
+  return interpolate(String(value), params);
+};
+
+const toDate = (value) => {
+  // Даты без времени (DATEONLY) приходят строкой и форматируются без сдвига часового пояса
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { date: new Date(`${value}T00:00:00Z`), timeZone: 'UTC' };
+  }
+  return { date: new Date(value), timeZone: undefined };
+};
+
+const formatDate = (locale, value, options = { dateStyle: 'medium' }) => {
+  if (!value) {
+    return '';
+  }
+  const { date, timeZone } = toDate(value);
+  return new Intl.DateTimeFormat(LOCALE_TAGS[locale], { timeZone, ...options }).format(date);
+};
+
+const formatDateTime = (locale, value) => formatDate(locale, value, { dateStyle: 'medium', timeStyle: 'short' });
+
+const formatNumber = (locale, value, options = { maximumFractionDigits: 2 }) =>
+  new Intl.NumberFormat(LOCALE_TAGS[locale], options).format(Number(value));
+
+// Переведённое поле записи (tour.nameEn); пустой перевод заменяется русским текстом
+const localize = (locale, record, field) => {
+  if (!record) {
+    return '';
+  }
+  const suffix = LOCALIZED_SUFFIXES[locale];
+  const translated = suffix ? record[`${field}${suffix}`] : null;
+  return translated && String(translated).trim() ? translated : record[field];
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  isLocale,
+  translate,
+  formatDate,
+  formatDateTime,
+  formatNumber,
+  localize
+};
@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const PUBLIC_DIR = path.join(__dirname, '../public');
+const THUMBNAIL_DIR = path.join(PUBLIC_DIR, 'uploads/thumbs');
+const THUMBNAIL_WIDTH = 480;
+const MAX_DIMENSION = 8000;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Сообщение — ключ каталога переводов, params — подстановки для него
+class ImageError extends Error {
+  constructor(message, params = {}) {
+    super(message);
+    this.params = params;
+  }
+}
+
+const toPublicPath = (filePath) => '/' + path.relative(PUBLIC_DIR, filePath).split(path.sep).join('/');
+
+const toFilePath = (publicPath) => {
+  const filePath = path.join(PUBLIC_DIR, publicPath);
+  // Никогда не удаляем ничего за пределами public/uploads
+  if (!filePath.startsWith(path.join(PUBLIC_DIR, 'uploads') + path.sep)) {
+    return null;
+  }
+  return filePath;
+};
+
+const removeFiles = async (...publicPaths) => {
+  for (const publicPath of publicPaths.filter(Boolean)) {
+    const filePath = toFilePath(publicPath);
+    if (filePath) {
+      await fs.rm(filePath, { force: true }).catch(error => {
+        console.error(`Error removing file ${filePath}:`, error);
+      });
+    }
+  }
+};
+
+// Проверяет содержимое загруженного файла (а не только заявленный mimetype)
+// и создаёт уменьшенную копию для каталога
+const processUpload = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.path).metadata();
+  } catch (error) {
+    throw new ImageError('images.notImage', { file: file.originalname });
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new ImageError('images.unsupportedFormat', { file: file.originalname });
+  }
+  if (metadata.width > MAX_DIMENSION || metadata.height > MAX_DIMENSION) {
+    throw new ImageError('images.tooLarge', { file: file.originalname, max: MAX_DIMENSION });
+  }
+
+  await fs.mkdir(THUMBNAIL_DIR, { recursive: true });
+  const thumbnailFile = path.join(THUMBNAIL_DIR, `${path.parse(file.filename).name}.webp`);
+  await sharp(file.path)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(thumbnailFile);
+
+  return {
+    path: toPublicPath(file.path),
+    thumbnailPath: toPublicPath(thumbnailFile)
+  };
+};
+
+// Обрабатывает все загруженные файлы; при ошибке удаляет и их, и уже созданные миниатюры
+const processUploads = async (files = []) => {
+  const processed = [];
+  try {
+    for (const file of files) {
+      processed.push(await processUpload(file));
+    }
+    return processed;
+  } catch (error) {
+    await removeFiles(...processed.map(image => image.thumbnailPath));
+    await discardUploads(files);
+    throw error;
+  }
+};
+
+// Удаляет загруженные multer файлы, если запрос был отклонён до их обработки
+const discardUploads = (files = []) => removeFiles(...files.map(file => toPublicPath(file.path)));
+
+module.exports = {
+  ImageError,
+  processUploads,
+  discardUploads,
+  removeFiles
+};
@@ -0,0 +1,69 @@
+const { Op } = require('sequelize');
+const { LoginThrottle } = require('../models');
+const authConfig = require('../config/auth');
+
+// Вход временно заблокирован после серии неудачных попыток
+class LoginThrottleError extends Error {
+  constructor(lockedUntil) {
+    super('auth.tooManyAttempts');
+    const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+    this.status = 429;
+    this.params = { minutes: Math.max(1, Math.ceil(seconds / 60)) };
+    this.retryAfter = seconds;
+  }
+}
+
+const config = authConfig.login;
+
+const keysFor = (username, ip) => [`user:${String(username || '').toLowerCase()}`, `ip:${ip}`];
+
+const limitFor = (key) => (key.startsWith('ip:') ? config.ipMaxFailures : config.maxFailures);
+
+// Бросает LoginThrottleError, если вход под этим именем или с этого адреса заблокирован.
+// Проверяется до сверки пароля, чтобы во время блокировки пароль нельзя было подобрать
+const assertAllowed = async (username, ip) => {
+  const locked = await LoginThrottle.findAll({
+    where: { key: keysFor(username, ip), lockedUntil: { [Op.gt]: new Date() } }
+  });
+  if (locked.length > 0) {
+    throw new LoginThrottleError(Math.max(...locked.map(record => record.lockedUntil.getTime())));
+  }
+};
+
+// Счётчик меняется только атомарными UPDATE: при параллельных попытках входа
+// чтение и запись нового значения из JS теряли бы неудачи
+const recordFailure = async (username, ip) => {
+  const now = new Date();
+  for (const key of keysFor(username, ip)) {
+    await LoginThrottle.findCreateFind({
+      where: { key },
+      defaults: { windowStartedAt: now }
+    });
+    // Истёкшее окно начинается заново
+    await LoginThrottle.update({ failures: 0, windowStartedAt: now }, {
+      where: { key, windowStartedAt: { [Op.lt]: new Date(now.getTime() - config.window) } }
+    });
+    await LoginThrottle.increment('failures', { where: { key } });
+    await LoginThrottle.update({ failures: 0, windowStartedAt: now, lockedUntil: new Date(now.getTime() + config.lockout) }, {
+      where: { key, failures: { [Op.gte]: limitFor(key) } }
+    });
+  }
+
+  // Заодно удаляются счётчики, которые давно не менялись и уже ни на что не влияют
+  await LoginThrottle.destroy({
+    where: { updatedAt: { [Op.lt]: new Date(now.getTime() - config.window - config.lockout) } }
+  });
+};
+
+// Успешный вход сбрасывает счётчик имени. Счётчик адреса остаётся: иначе подбирающий
+// пароли мог бы обнулять его, входя под своей учётной записью
+const recordSuccess = async (username) => {
+  await LoginThrottle.destroy({ where: { key: keysFor(username, '')[0] } });
+};
+
+module.exports = {
+  LoginThrottleError,
+  assertAllowed,
+  recordFailure,
+  recordSuccess
+};
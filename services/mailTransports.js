@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Транспорт — объект с методом send(message), где message: { from, to, subject, text }.
+// Новые транспорты подключаются через registerTransport.
+const factories = {
+  smtp: (config) => {
+    const transporter = nodemailer.createTransport(config.smtp);
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  // Письма сохраняются файлами .eml — их можно открыть любым почтовым клиентом
+  file: (config) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      send: async (message) => {
+        const { message: raw } = await transporter.sendMail(message);
+        await fs.mkdir(config.fileDir, { recursive: true });
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+        await fs.writeFile(path.join(config.fileDir, name), raw);
+      }
+    };
+  },
+
+  // Ничего не отправляет: письмо остаётся в таблице Notifications со статусом sent
+  outbox: () => ({ send: async () => {} })
+};
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+const createTransport = (config) => {
+  const factory = factories[config.transport];
+  if (!factory) {
+    throw new Error(`Неизвестный почтовый транспорт: ${config.transport}`);
+  }
+  return factory(config);
+};
+
+module.exports = {
+  registerTransport,
+  createTransport
+};
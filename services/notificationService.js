@@ -0,0 +1,143 @@
+const path = require('path');
+const ejs = require('ejs');
+const { Op } = require('sequelize');
+const { Notification } = require('../models');
+const mailConfig = require('../config/mail');
+const mailTransports = require('./mailTransports');
+const i18nService = require('./i18nService');
+
+const TEMPLATES_DIR = path.join(__dirname, '../views/emails');
+
+let transport = null;
+let processing = false;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = mailTransports.createTransport(mailConfig);
+  }
+  return transport;
+};
+
+// Пауза перед повторной попыткой: 2, 4, 8... минут, но не больше часа
+const retryDelay = (attempts) => Math.min(2 ** attempts, 60) * 60 * 1000;
+
+// Очередь могут разбирать одновременно сервер и scripts/send-notifications.js, поэтому
+// письмо перед отправкой захватывается условным UPDATE: его срок переносится на время
+// отправки, и другой обработчик его уже не выберет. Если процесс упал посреди отправки,
+// письмо снова станет доступным, когда этот срок пройдёт
+const claim = async (notification, now) => {
+  const [count] = await Notification.update(
+    { sendAfter: new Date(now.getTime() + mailConfig.claimTimeout) },
+    { where: { id: notification.id, status: 'pending', sendAfter: { [Op.lte]: now } } }
+  );
+  return count === 1;
+};
+
+const deliver = async (notification) => {
+  try {
+    await getTransport().send({
+      from: mailConfig.from,
+      to: notification.recipient,
+      subject: notification.subject,
+      text: notification.body
+    });
+    await notification.update({
+      status: 'sent',
+      attempts: notification.attempts + 1,
+      lastError: null,
+      sentAt: new Date()
+    });
+  } catch (error) {
+    const attempts = notification.attempts + 1;
+    await notification.update({
+      status: attempts >= mailConfig.maxAttempts ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      sendAfter: new Date(Date.now() + retryDelay(attempts))
+    });
+  }
+};
+
+// Отправляет письма, время которых подошло, и возвращает число отправленных попыток.
+// В одном процессе одновременно работает только один проход
+const processQueue = async ({ limit = 50 } = {}) => {
+  if (processing) {
+    return 0;
+  }
+  processing = true;
+  try {
+    const now = new Date();
+    const due = await Notification.findAll({
+      where: { status: 'pending', sendAfter: { [Op.lte]: now } },
+      order: [['sendAfter', 'ASC']],
+      limit
+    });
+    let processed = 0;
+    for (const notification of due) {
+      if (await claim(notification, now)) {
+        await deliver(notification);
+        processed++;
+      }
+    }
+    return processed;
+  } finally {
+    processing = false;
+  }
+};
+
+const runQueue = () => {
+  processQueue().catch(error => console.error('Error processing notification queue:', error));
+};
+
+// Ставит письмо в очередь. Ошибка уведомления не должна ломать основное действие,
+// поэтому она только логируется. Внутри транзакции отправка начнётся после фиксации.
+// Письмо пишется на языке получателя: тема — из каталога переводов (emails.subjects),
+// текст — из views/emails/<язык>/<шаблон>.ejs
+const notify = async (template, recipient, data = {}, { transaction, locale } = {}) => {
+  if (!recipient) {
+    return null;
+  }
+  try {
+    const language = i18nService.isLocale(locale) ? locale : i18nService.DEFAULT_LOCALE;
+    const body = await ejs.renderFile(path.join(TEMPLATES_DIR, language, `${template}.ejs`), data);
+    const notification = await Notification.create({
+      template,
+      recipient,
+      subject: i18nService.translate(language, `emails.subjects.${template}`, data),
+      body
+    }, { transaction });
+
+    if (transaction) {
+      transaction.afterCommit(() => setImmediate(runQueue));
+    } else {
+      setImmediate(runQueue);
+    }
+    return notification;
+  } catch (error) {
+    console.error(`Error queueing ${template} notification:`, error);
+    return null;
+  }
+};
+
+// Возвращает в очередь письма, исчерпавшие попытки
+const retryFailed = async () => {
+  const [count] = await Notification.update(
+    { status: 'pending', attempts: 0, sendAfter: new Date() },
+    { where: { status: 'failed' } }
+  );
+  return count;
+};
+
+const startWorker = () => {
+  const timer = setInterval(runQueue, mailConfig.pollInterval);
+  timer.unref();
+  runQueue();
+  return timer;
+};
+
+module.exports = {
+  notify,
+  processQueue,
+  retryFailed,
+  startWorker
+};
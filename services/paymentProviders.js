@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Подпись уведомления неверна, устарела или отсутствует
+class SignatureError extends Error {}
+
+// Провайдер — объект с методами:
+//   createPayment({ reference, amount, currency, description, returnUrl, webhookUrl }) → { id, redirectUrl }
+//   parseWebhook({ body, headers }) → { type, paymentId, reason } — body передаётся сырой строкой,
+//     чтобы проверить подпись; type: payment.succeeded или payment.failed
+//   refund({ paymentId, amount }) → { id }
+// Новые провайдеры подключаются через registerProvider.
+const factories = {
+  // Имитация провайдера: платёжная страница открывается на этом же сайте (/payments/mock/:id),
+  // результат приходит подписанным уведомлением так же, как от настоящего провайдера.
+  // Сессии оплаты живут в памяти процесса и пропадают при перезапуске
+  mock: (config) => {
+    const secret = config.webhookSecret;
+    const sessions = new Map();
+
+    const sign = (timestamp, body) =>
+      crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    // Заголовок вида t=<время в мс>,v1=<HMAC-SHA256 от "t.тело">
+    const verify = (header, body) => {
+      const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+      const timestamp = Number(parts.t);
+      if (!timestamp || !parts.v1) {
+        throw new SignatureError('Нет подписи уведомления');
+      }
+      if (Math.abs(Date.now() - timestamp) > config.webhookTolerance) {
+        throw new SignatureError('Подпись уведомления устарела');
+      }
+      const expected = Buffer.from(sign(timestamp, body), 'hex');
+      const actual = Buffer.from(parts.v1, 'hex');
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new SignatureError('Неверная подпись уведомления');
+      }
+    };
+
+    const sendWebhook = async (session, event) => {
+      const body = JSON.stringify(event);
+      const timestamp = Date.now();
+      const response = await fetch(session.webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Mock-Signature': `t=${timestamp},v1=${sign(timestamp, body)}`
+        },
+        body
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    };
+
+    return {
+      createPayment: async (payment) => {
+        const id = `mock_${crypto.randomBytes(12).toString('hex')}`;
+        sessions.set(id, { ...payment, id, status: 'pending' });
+        return { id, redirectUrl: `/payments/mock/${id}` };
+      },
+
+      parseWebhook: ({ body, headers }) => {
+        verify(headers['x-mock-signature'], body);
+        return JSON.parse(body);
+      },
+
+      refund: async ({ paymentId, amount }) => {
+        const session = sessions.get(paymentId);
+        if (session && session.status !== 'succeeded') {
+          throw new Error(`Payment ${paymentId} is not paid`);
+        }
+        if (!(Number(amount) > 0)) {
+          throw new Error('Refund amount must be positive');
+        }
+        return { id: `mock_re_${crypto.randomBytes(12).toString('hex')}` };
+      },
+
+      // Только у имитации: данные для платёжной страницы и её результат
+      getSession: (id) => sessions.get(id) || null,
+
+      // Тестовые карты: номер на 0002 отклоняется, на 9995 — не хватает средств, остальные проходят.
+      // Номер карты используется только здесь и нигде не сохраняется
+      complete: async (id, { cardNumber, cancelled }) => {
+        const session = sessions.get(id);
+        let reason = null;
+        if (cancelled) {
+          reason = 'cancelled';
+        } else if (cardNumber.endsWith('0002')) {
+          reason = 'card_declined';
+        } else if (cardNumber.endsWith('9995')) {
+          reason = 'insufficient_funds';
+        }
+        session.status = reason ? 'failed' : 'succeeded';
+
+        try {
+          await sendWebhook(session, {
+            type: reason ? 'payment.failed' : 'payment.succeeded',
+            paymentId: id,
+            reference: session.reference,
+            reason
+          });
+        } catch (error) {
+          // Как у настоящего провайдера: покупатель возвращается на сайт, даже если уведомление не дошло
+          console.error('Error delivering mock payment webhook:', error);
+        }
+        return session.returnUrl;
+      }
+    };
+  }
+};
+
+// В production имитации нет: её страница отмечает заказ оплаченным по любой карте
+if (process.env.NODE_ENV === 'production') {
+  delete factories.mock;
+}
+
+const registerProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const createProvider = (name, config) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Неизвестный платёжный провайдер: ${name}`);
+  }
+  return factory(config);
+};
+
+module.exports = {
+  SignatureError,
+  registerProvider,
+  createProvider
+};
@@ -0,0 +1,168 @@
+const { sequelize, Order, Payment, Refund } = require('../models');
+const paymentConfig = require('../config/payments');
+const paymentProviders = require('./paymentProviders');
+const currencyService = require('./currencyService');
+
+class PaymentError extends Error {
+  constructor(message, status = 400, params = {}) {
+    super(message);
+    this.status = status;
+    this.params = params;
+  }
+}
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = paymentProviders.createProvider(paymentConfig.provider, paymentConfig);
+  }
+  return provider;
+};
+
+const isPayable = (order) => Order.canTransition(order.status, 'paid');
+
+// Создаёт попытку оплаты и возвращает адрес платёжной страницы провайдера.
+// Сумма заказа хранится в базовой валюте — в ней же и списывается
+const startPayment = async (order) => {
+  if (!isPayable(order)) {
+    throw new PaymentError('payments.notPayable', 409);
+  }
+
+  const payment = await Payment.create({
+    OrderId: order.id,
+    provider: paymentConfig.provider,
+    amount: order.total,
+    currency: currencyService.BASE_CURRENCY
+  });
+
+  try {
+    const { id, redirectUrl } = await getProvider().createPayment({
+      reference: String(payment.id),
+      amount: payment.amount,
+      currency: payment.currency,
+      description: `SinkTravel #${order.id}`,
+      returnUrl: `${paymentConfig.appUrl}/payments/${payment.id}/return`,
+      webhookUrl: `${paymentConfig.appUrl}/payments/webhook/${paymentConfig.provider}`
+    });
+    await payment.update({ providerPaymentId: id });
+    return redirectUrl;
+  } catch (error) {
+    console.error('Error creating payment:', error);
+    await payment.update({ status: 'failed', failureReason: 'provider_error' });
+    throw new PaymentError('payments.providerError', 502);
+  }
+};
+
+// Возврат всей суммы оплаты. Неудачная попытка тоже сохраняется вместе с ошибкой провайдера
+const refundPayment = async (payment) => {
+  let providerRefund;
+  try {
+    providerRefund = await getProvider().refund({ paymentId: payment.providerPaymentId, amount: payment.amount });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    await Refund.create({
+      PaymentId: payment.id,
+      amount: payment.amount,
+      status: 'failed',
+      lastError: error.message
+    });
+    throw new PaymentError('payments.refundFailed', 502, { id: payment.id });
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await Refund.create({
+      PaymentId: payment.id,
+      providerRefundId: providerRefund.id,
+      amount: payment.amount,
+      status: 'succeeded'
+    }, { transaction });
+    await payment.update({ status: 'refunded' }, { transaction });
+  });
+};
+
+// Возвращает деньги по всем успешным оплатам заказа. Каждый возврат сохраняется сразу,
+// поэтому после сбоя повторный вызов вернёт только то, что ещё не вернули
+const refundOrder = async (order) => {
+  const payments = await Payment.findAll({ where: { OrderId: order.id, status: 'succeeded' } });
+  for (const payment of payments) {
+    await refundPayment(payment);
+  }
+};
+
+// Заказ переходит в статус «оплачен». Если его успели отменить или оплатить
+// другой попыткой, деньги по этой оплате возвращаются. Оплата захватывается условным
+// UPDATE первым запросом транзакции, поэтому из параллельных повторов одного
+// уведомления её обрабатывает только одно, остальные ничего не меняют
+const markSucceeded = async (payment) => {
+  const outcome = await sequelize.transaction(async (transaction) => {
+    const [claimed] = await Payment.update(
+      { status: 'succeeded', failureReason: null, paidAt: new Date() },
+      { where: { id: payment.id, status: 'pending' }, transaction }
+    );
+    if (claimed === 0) {
+      return 'duplicate';
+    }
+    const order = await Order.findByPk(payment.OrderId, { transaction });
+    if (!isPayable(order)) {
+      return 'refund';
+    }
+    const [updated] = await Order.update(
+      { status: 'paid' },
+      { where: { id: order.id, status: order.status }, transaction }
+    );
+    return updated === 0 ? 'refund' : 'paid';
+  });
+
+  if (outcome === 'refund') {
+    await payment.reload();
+    await refundPayment(payment);
+  }
+};
+
+// Обрабатывает уведомление провайдера. Провайдеры повторяют уведомления,
+// поэтому уже обработанная оплата не меняется
+const handleWebhook = async (providerName, { body, headers }) => {
+  if (providerName !== paymentConfig.provider) {
+    throw new PaymentError('payments.unknownProvider', 404);
+  }
+
+  let event;
+  try {
+    event = getProvider().parseWebhook({ body, headers });
+  } catch (error) {
+    if (error instanceof paymentProviders.SignatureError) {
+      throw new PaymentError('payments.invalidSignature', 400);
+    }
+    throw error;
+  }
+
+  const payment = await Payment.findOne({
+    where: { provider: providerName, providerPaymentId: String(event.paymentId) }
+  });
+  if (!payment) {
+    throw new PaymentError('payments.notFound', 404);
+  }
+  if (payment.status !== 'pending') {
+    return payment;
+  }
+
+  if (event.type === 'payment.succeeded') {
+    await markSucceeded(payment);
+  } else if (event.type === 'payment.failed') {
+    await Payment.update(
+      { status: 'failed', failureReason: event.reason || null },
+      { where: { id: payment.id, status: 'pending' } }
+    );
+  }
+  return payment.reload();
+};
+
+module.exports = {
+  PaymentError,
+  getProvider,
+  isPayable,
+  startPayment,
+  refundOrder,
+  handleWebhook
+};
@@ -0,0 +1,93 @@
+const { Op } = require('sequelize');
+const { sequelize, PromoCode, City, Tour } = require('../models');
+const currencyService = require('./currencyService');
+
+// Сообщение — ключ каталога переводов, params — значения для подстановки в него
+class PromoError extends Error {
+  constructor(message, params = {}) {
+    super(message);
+    this.params = params;
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const findByCode = (code) => PromoCode.findOne({
+  where: { code: String(code || '').trim().toUpperCase() },
+  include: [City, Tour]
+});
+
+// Позиция подходит, если у кода нет ограничений или тур/его город входят в списки кода
+const isEligible = (promo, tour) => {
+  if (promo.Cities.length === 0 && promo.Tours.length === 0) {
+    return true;
+  }
+  return promo.Cities.some(city => city.id === tour.CityId) || promo.Tours.some(item => item.id === tour.id);
+};
+
+// Возвращает сумму скидки в базовой валюте для позиций корзины; если код неприменим,
+// бросает PromoError. Фиксированные скидки и минимальная сумма тоже задаются в базовой валюте
+const calculateDiscount = (promo, items) => {
+  const date = today();
+  if (promo.validFrom && date < promo.validFrom) {
+    throw new PromoError('promo.notStarted', { date: promo.validFrom });
+  }
+  if (promo.validUntil && date > promo.validUntil) {
+    throw new PromoError('promo.expired');
+  }
+  if (promo.usageLimit !== null && promo.usedCount >= promo.usageLimit) {
+    throw new PromoError('promo.exhausted');
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + (item.basePrice * item.quantity), 0);
+  if (promo.minOrderTotal !== null && subtotal < Number(promo.minOrderTotal)) {
+    throw new PromoError('promo.minOrderTotal', { amount: promo.minOrderTotal, currency: currencyService.BASE_CURRENCY });
+  }
+
+  const eligibleTotal = items
+    .filter(item => isEligible(promo, item.Tour))
+    .reduce((sum, item) => sum + (item.basePrice * item.quantity), 0);
+  if (eligibleTotal === 0) {
+    throw new PromoError('promo.notApplicable');
+  }
+
+  const discount = promo.discountType === 'percent'
+    ? eligibleTotal * Number(promo.amount) / 100
+    : Math.min(Number(promo.amount), eligibleTotal);
+  return roundMoney(discount);
+};
+
+// Атомарно учитывает использование: запрос не пройдёт, если лимит уже исчерпан
+const redeem = async (promo, transaction) => {
+  const [affected] = await PromoCode.update(
+    { usedCount: sequelize.literal('"usedCount" + 1') },
+    {
+      where: {
+        id: promo.id,
+        [Op.or]: [
+          { usageLimit: null },
+          { usedCount: { [Op.lt]: sequelize.col('usageLimit') } }
+        ]
+      },
+      transaction
+    }
+  );
+  if (affected === 0) {
+    throw new PromoError('promo.exhausted');
+  }
+};
+
+const release = (promoCodeId, transaction) => PromoCode.decrement('usedCount', {
+  where: { id: promoCodeId, usedCount: { [Op.gt]: 0 } },
+  transaction
+});
+
+module.exports = {
+  PromoError,
+  findByCode,
+  calculateDiscount,
+  redeem,
+  release
+};
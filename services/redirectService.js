@@ -0,0 +1,25 @@
+// Адрес, куда вернуть пользователя после переключателя в шапке: страница из Referer,
+// если она на этом же сайте. Чужой или испорченный Referer заменяется главной страницей
+const backUrl = (req, fallback = '/') => {
+  const back = req.get('Referer');
+  if (!back) {
+    return fallback;
+  }
+  try {
+    const url = new URL(back);
+    if (!['http:', 'https:'].includes(url.protocol) || url.host !== req.get('host')) {
+      return fallback;
+    }
+    // Путь вида //evil.example браузер поймёт как адрес другого сайта
+    if (/^\/[/\\]/.test(url.pathname)) {
+      return fallback;
+    }
+    return `${url.pathname}${url.search}`;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+module.exports = {
+  backUrl
+};
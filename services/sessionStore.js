@@ -0,0 +1,64 @@
+const { Op } = require('sequelize');
+const session = require('express-session');
+const { Session } = require('../models');
+
+// Хранилище express-session в таблице Sessions: сессии переживают перезапуск сервера
+// и общие для нескольких процессов. Просроченные сессии удаляются фоновой очисткой
+class DatabaseSessionStore extends session.Store {
+  constructor({ ttl, cleanupInterval } = {}) {
+    super();
+    this.ttl = ttl;
+    if (cleanupInterval) {
+      this.cleanupTimer = setInterval(() => {
+        this.clearExpired().catch(error => console.error('Error clearing expired sessions:', error));
+      }, cleanupInterval);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  expiresAt(data) {
+    return data.cookie && data.cookie.expires
+      ? new Date(data.cookie.expires)
+      : new Date(Date.now() + this.ttl);
+  }
+
+  get(sid, callback) {
+    Session.findByPk(Session.hash(sid))
+      .then((record) => {
+        if (!record || record.expiresAt <= new Date()) {
+          return callback(null, null);
+        }
+        callback(null, JSON.parse(record.data));
+      })
+      .catch(callback);
+  }
+
+  set(sid, data, callback) {
+    Session.upsert({
+      sidHash: Session.hash(sid),
+      data: JSON.stringify(data),
+      expiresAt: this.expiresAt(data)
+    })
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  // Продлевает сессию, которая не менялась за время запроса
+  touch(sid, data, callback) {
+    Session.update({ expiresAt: this.expiresAt(data) }, { where: { sidHash: Session.hash(sid) } })
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback) {
+    Session.destroy({ where: { sidHash: Session.hash(sid) } })
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  clearExpired() {
+    return Session.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+  }
+}
+
+module.exports = DatabaseSessionStore;
@@ -0,0 +1,256 @@
+const { sequelize, Tour, City, Hotel, Currency } = require('../models');
+const { BASE_CURRENCY } = require('./currencyService');
+
+// Файл не читается как список туров; message — ключ каталога переводов
+class ImportError extends Error {
+  constructor(message, params = {}) {
+    super(message);
+    this.params = params;
+  }
+}
+
+// Строки ждут подтверждения импорта в сессии, поэтому их число ограничено
+const MAX_ROWS = 1000;
+
+// Колонки файла импорта/экспорта; порядок задаёт порядок колонок в CSV
+const COLUMNS = ['name', 'description', 'nameEn', 'descriptionEn', 'price', 'currency', 'duration', 'city', 'country', 'hotel', 'hotelStars', 'hotelAddress'];
+
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  // Excel в русской локали сохраняет CSV с точкой с запятой
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim());
+  return rows.map(row => keys.reduce((result, key, index) => {
+    result[key] = row[index] !== undefined ? row[index] : '';
+    return result;
+  }, {}));
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const checkSize = (rows) => {
+  if (rows.length > MAX_ROWS) {
+    throw new ImportError('import.tooManyRows', { max: MAX_ROWS });
+  }
+  return rows;
+};
+
+const parseFile = (buffer, filename) => {
+  const text = buffer.toString('utf8');
+  if (/\.json$/i.test(filename)) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new ImportError('import.notArray');
+    }
+    return checkSize(data);
+  }
+  return checkSize(parseCsv(text));
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return NaN;
+  }
+  return Number(String(value).replace(',', '.').replace(/\s/g, ''));
+};
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Приводит строку файла к единому виду и проверяет её, не записывая ничего в базу.
+// newHotels запоминает город каждого нового отеля из предыдущих строк файла:
+// один и тот же новый отель не может оказаться в двух городах
+const normalizeRow = (item, cities, hotels, currencies, newHotels) => {
+  // Элемент JSON-массива, который не объект, — ошибка этой строки, а не всего файла
+  const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+  const raw = isObject ? item : {};
+  const row = {
+    name: toText(raw.name),
+    description: toText(raw.description),
+    nameEn: toText(raw.nameEn),
+    descriptionEn: toText(raw.descriptionEn),
+    price: toNumber(raw.price),
+    // Без валюты цена считается указанной в базовой
+    currency: toText(raw.currency).toUpperCase() || BASE_CURRENCY,
+    duration: toNumber(raw.duration),
+    city: toText(raw.city),
+    country: toText(raw.country),
+    hotel: toText(raw.hotel),
+    hotelStars: toNumber(raw.hotelStars),
+    hotelAddress: toText(raw.hotelAddress)
+  };
+  // Ошибки — ключи каталога переводов или { key, params }
+  const errors = [];
+
+  if (!isObject) {
+    errors.push('import.errors.notObject');
+    return { row, errors, newCity: false, newHotel: false };
+  }
+  if (!row.name) errors.push('import.errors.noName');
+  if (!(row.price > 0)) errors.push('import.errors.price');
+  if (!currencies.some(currency => currency.code === row.currency)) errors.push({ key: 'import.errors.currency', params: { currency: row.currency } });
+  if (!Number.isInteger(row.duration) || row.duration <= 0) errors.push('import.errors.duration');
+
+  const city = cities.find(item => item.name === row.city && (!row.country || item.country === row.country));
+  if (!row.city) {
+    errors.push('import.errors.noCity');
+  } else if (!city && !row.country) {
+    errors.push({ key: 'import.errors.cityNotFound', params: { city: row.city } });
+  }
+
+  const hotel = hotels.find(item => item.name === row.hotel);
+  if (!row.hotel) {
+    errors.push('import.errors.noHotel');
+  } else if (!hotel && !(Number.isInteger(row.hotelStars) && row.hotelStars >= 1 && row.hotelStars <= 5)) {
+    errors.push({ key: 'import.errors.hotelNotFound', params: { hotel: row.hotel } });
+  } else if (hotel && hotel.CityId && (!city || hotel.CityId !== city.id)) {
+    errors.push({ key: 'import.errors.hotelCity', params: { hotel: row.hotel } });
+  } else if (!hotel && row.city) {
+    const cityKey = city ? `id:${city.id}` : `new:${row.city}\n${row.country}`;
+    if (!newHotels.has(row.hotel)) {
+      newHotels.set(row.hotel, cityKey);
+    } else if (newHotels.get(row.hotel) !== cityKey) {
+      errors.push({ key: 'import.errors.hotelCity', params: { hotel: row.hotel } });
+    }
+  }
+
+  return {
+    row,
+    errors,
+    newCity: Boolean(row.city && !city),
+    newHotel: Boolean(row.hotel && !hotel)
+  };
+};
+
+const normalizeRows = (rows, cities, hotels, currencies) => {
+  const newHotels = new Map();
+  return rows.map(raw => normalizeRow(raw, cities, hotels, currencies, newHotels));
+};
+
+const previewRows = async (rows) => {
+  const cities = await City.findAll();
+  const hotels = await Hotel.findAll();
+  const currencies = await Currency.findAll();
+  return normalizeRows(rows, cities, hotels, currencies);
+};
+
+// Создаёт все туры в одной транзакции; при ошибке в любой строке не сохраняется ничего
+const importRows = (rows) => sequelize.transaction(async (transaction) => {
+  const cities = await City.findAll({ transaction });
+  const hotels = await Hotel.findAll({ transaction });
+  const currencies = await Currency.findAll({ transaction });
+  const results = normalizeRows(rows, cities, hotels, currencies);
+
+  if (results.some(result => result.errors.length > 0)) {
+    throw new Error('Файл содержит ошибки');
+  }
+
+  for (const { row } of results) {
+    let city = cities.find(item => item.name === row.city && (!row.country || item.country === row.country));
+    if (!city) {
+      city = await City.create({ name: row.city, country: row.country }, { transaction });
+      cities.push(city);
+    }
+
+    let hotel = hotels.find(item => item.name === row.hotel);
+    if (!hotel) {
+      hotel = await Hotel.create({
+        name: row.hotel,
+        stars: row.hotelStars,
+        address: row.hotelAddress || null,
+        CityId: city.id
+      }, { transaction });
+      hotels.push(hotel);
+    }
+
+    await Tour.create({
+      name: row.name,
+      description: row.description || null,
+      nameEn: row.nameEn || null,
+      descriptionEn: row.descriptionEn || null,
+      price: row.price,
+      currency: row.currency,
+      duration: row.duration,
+      CityId: city.id,
+      HotelId: hotel.id
+    }, { transaction });
+  }
+
+  return results.length;
+});
+
+const exportTours = async (format) => {
+  const tours = await Tour.findAll({ include: [City, Hotel], order: [['id', 'ASC']] });
+  const rows = tours.map(tour => ({
+    name: tour.name,
+    description: tour.description || '',
+    nameEn: tour.nameEn || '',
+    descriptionEn: tour.descriptionEn || '',
+    price: Number(tour.price),
+    currency: tour.currency,
+    duration: tour.duration,
+    city: tour.City ? tour.City.name : '',
+    country: tour.City ? tour.City.country : '',
+    hotel: tour.Hotel ? tour.Hotel.name : '',
+    hotelStars: tour.Hotel ? tour.Hotel.stars : '',
+    hotelAddress: tour.Hotel && tour.Hotel.address ? tour.Hotel.address : ''
+  }));
+
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+  const lines = [COLUMNS.join(',')].concat(rows.map(row => COLUMNS.map(column => escapeCsv(row[column])).join(',')));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  ImportError,
+  COLUMNS,
+  parseFile,
+  previewRows,
+  importRows,
+  exportTours
+};
@@ -0,0 +1,149 @@
+const { ValidationError } = require('sequelize');
+
+// Ошибки по полям формы: { name: 'validation.required', ... }. Ключ _form — ошибка формы целиком.
+// Сообщения — ключи каталога переводов или { key, params }; переводятся при выводе
+class FormError extends Error {
+  constructor(errors) {
+    super(Object.values(errors)[0]);
+    this.errors = errors;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toNumber = (value) => Number(String(value).replace(',', '.').trim());
+
+// Правило получает значение поля и все значения формы и возвращает сообщение об ошибке или null.
+// Пустое значение проверяет только required, остальные правила необязательное поле пропускают
+const rules = {
+  required: (message = 'validation.required') => {
+    const rule = (value) => (isBlank(value) ? message : null);
+    rule.checksBlank = true;
+    return rule;
+  },
+
+  email: (message = 'validation.email') => (value) =>
+    (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim()) ? null : message),
+
+  integer: ({ min, max } = {}, message) => (value) => {
+    const number = toNumber(value);
+    if (!Number.isInteger(number)) {
+      return message || 'validation.integer';
+    }
+    if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+      if (message) {
+        return message;
+      }
+      if (min !== undefined && max !== undefined) {
+        return { key: 'validation.integerBetween', params: { min, max } };
+      }
+      return min !== undefined
+        ? { key: 'validation.integerMin', params: { min } }
+        : { key: 'validation.integerMax', params: { max } };
+    }
+    return null;
+  },
+
+  number: ({ min, positive } = {}, message) => (value) => {
+    const number = toNumber(value);
+    if (!Number.isFinite(number)) {
+      return message || 'validation.number';
+    }
+    if (positive && number <= 0) {
+      return message || 'validation.positive';
+    }
+    if (min !== undefined && number < min) {
+      return message || { key: 'validation.min', params: { min } };
+    }
+    return null;
+  },
+
+  maxLength: (length) => (value) =>
+    (String(value).trim().length > length ? { key: 'validation.maxLength', params: { count: length } } : null),
+
+  date: (message = 'validation.date') => (value) =>
+    (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) ? null : message),
+
+  oneOf: (list, message = 'validation.oneOf') => (value) =>
+    (list.map(String).includes(String(value)) ? null : message),
+
+  // Значение пришло строкой, а не массивом (name[]=...) или объектом из JSON
+  text: (message = 'validation.invalid') => (value) => (typeof value === 'string' ? null : message),
+
+  sameAs: (field, message) => (value, values) => (value === values[field] ? null : message)
+};
+
+const validate = (values, schema) => {
+  const errors = {};
+  for (const [field, fieldRules] of Object.entries(schema)) {
+    const value = values[field];
+    for (const rule of fieldRules) {
+      if (!rule.checksBlank && isBlank(value)) {
+        continue;
+      }
+      const message = rule(value, values);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  }
+  return errors;
+};
+
+// Бросает FormError, если форма заполнена неверно
+const assertValid = (values, schema) => {
+  const errors = validate(values, schema);
+  if (Object.keys(errors).length > 0) {
+    throw new FormError(errors);
+  }
+};
+
+// Сообщения встроенных валидаторов Sequelize не переведены, поэтому заменяются своими.
+// Свои проверки моделей сообщают ключ каталога (validation.*), он показывается как есть
+const MODEL_MESSAGES = {
+  is_null: 'validation.required',
+  notEmpty: 'validation.required',
+  isEmail: 'validation.email',
+  isInt: 'validation.integer',
+  isDecimal: 'validation.number',
+  min: 'validation.tooSmall',
+  max: 'validation.tooLarge',
+  len: 'validation.length',
+  isIn: 'validation.oneOf',
+  is: 'validation.format',
+  not_unique: 'validation.notUnique'
+};
+
+const modelMessage = (item) => MODEL_MESSAGES[item.validatorKey]
+  || (/^validation\.\w+$/.test(item.message) ? item.message : 'validation.invalid');
+
+// Ошибки полей для FormError и ошибок валидации моделей; для остальных ошибок — null.
+// renames переводит атрибуты модели в имена полей формы ({ CityId: 'cityId' }); ошибки полей,
+// которых нет в схеме формы, показываются над формой
+const toFormErrors = (error, schema = {}, renames = {}) => {
+  if (error instanceof FormError) {
+    return error.errors;
+  }
+  if (!(error instanceof ValidationError)) {
+    return null;
+  }
+  const errors = {};
+  for (const item of error.errors || []) {
+    const field = renames[item.path] || item.path;
+    const key = field && schema[field] ? field : '_form';
+    if (!errors[key]) {
+      errors[key] = modelMessage(item);
+    }
+  }
+  return Object.keys(errors).length > 0 ? errors : { _form: 'validation.checkForm' };
+};
+
+module.exports = {
+  FormError,
+  rules,
+  validate,
+  assertValid,
+  modelMessage,
+  toFormErrors
+};
@@ -0,0 +1,106 @@
+const { WishlistItem, PriceAlert, Tour, City, Hotel, TourImage, User } = require('../models');
+const currencyService = require('./currencyService');
+const notificationService = require('./notificationService');
+const i18nService = require('./i18nService');
+const mailConfig = require('../config/mail');
+
+class WishlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Мягко удалённые туры в избранном не показываются, пока их не восстановят
+const getWishlist = (userId) => WishlistItem.findAll({
+  where: { UserId: userId },
+  include: {
+    model: Tour,
+    required: true,
+    include: [City, Hotel, { model: TourImage, where: { isCover: true }, required: false }]
+  },
+  order: [['createdAt', 'DESC']]
+});
+
+const getTourIds = async (userId) => {
+  const items = await WishlistItem.findAll({ where: { UserId: userId }, attributes: ['TourId'] });
+  return items.map(item => item.TourId);
+};
+
+const addTour = async (userId, tourId) => {
+  const tour = await Tour.findByPk(tourId);
+  if (!tour) {
+    throw new WishlistError('errors.tourNotFound', 404);
+  }
+  await WishlistItem.findOrCreate({ where: { UserId: userId, TourId: tour.id } });
+};
+
+// Вместе с туром из избранного убираются и уведомления о его цене
+const removeTour = async (userId, tourId) => {
+  await WishlistItem.destroy({ where: { UserId: userId, TourId: tourId } });
+  await PriceAlert.destroy({ where: { UserId: userId, TourId: tourId } });
+};
+
+const getAlerts = (userId) => PriceAlert.findAll({
+  where: { UserId: userId },
+  include: { model: Tour, required: true },
+  order: [['createdAt', 'DESC']],
+  limit: 20
+});
+
+const countUnreadAlerts = (userId) => PriceAlert.count({ where: { UserId: userId, readAt: null } });
+
+const markAlertsRead = (userId) => PriceAlert.update(
+  { readAt: new Date() },
+  { where: { UserId: userId, readAt: null } }
+);
+
+// Сообщает пользователям, сохранившим тур, что он подешевел. Цены в разных валютах
+// сравниваются в базовой, поэтому смена валюты без снижения цены уведомлением не считается.
+// Письмо уходит только на подтверждённый email, уведомление в кабинете создаётся всегда
+const notifyPriceDrop = async (tour, previous) => {
+  const rates = await currencyService.getRates();
+  const oldBase = currencyService.toBase(previous.price, previous.currency, rates);
+  const newBase = currencyService.toBase(tour.price, tour.currency, rates);
+  if (!(newBase < oldBase)) {
+    return 0;
+  }
+
+  const items = await WishlistItem.findAll({
+    where: { TourId: tour.id },
+    include: { model: User, where: { disabledAt: null } }
+  });
+  for (const item of items) {
+    await PriceAlert.create({
+      UserId: item.UserId,
+      TourId: tour.id,
+      oldPrice: previous.price,
+      oldCurrency: previous.currency,
+      newPrice: tour.price,
+      newCurrency: tour.currency
+    });
+    if (item.User.email && item.User.emailVerifiedAt) {
+      const locale = item.User.locale || i18nService.DEFAULT_LOCALE;
+      await notificationService.notify('price-drop', item.User.email, {
+        username: item.User.username,
+        tourName: i18nService.localize(locale, tour, 'name'),
+        oldPrice: currencyService.format(previous.price, previous.currency, rates, locale),
+        newPrice: currencyService.format(tour.price, tour.currency, rates, locale),
+        link: `${mailConfig.appUrl.replace(/\/$/, '')}/profile/wishlist`
+      }, { locale });
+    }
+  }
+  return items.length;
+};
+
+module.exports = {
+  WishlistError,
+  getWishlist,
+  getTourIds,
+  addTour,
+  removeTour,
+  getAlerts,
+  countUnreadAlerts,
+  markAlertsRead,
+  notifyPriceDrop
+};
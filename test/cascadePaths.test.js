@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, QueryTypes } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Прогоняет миграции без подключения к базе: вызовы queryInterface только запоминают,
+// какой SQL внешних ключей сгенерировал бы диалект. Так схему SQL Server можно проверить
+// на машине без SQL Server
+const recordForeignKeys = async (dialect) => {
+  const sequelize = new Sequelize({ dialect, logging: false });
+  const generator = sequelize.getQueryInterface().queryGenerator;
+  const normalize = (definition) => sequelize.normalizeAttribute(definition);
+  // таблица → Map(столбец → SQL определения столбца)
+  const tables = new Map();
+
+  const queryInterface = new Proxy({
+    sequelize: {
+      getDialect: () => dialect,
+      query: async (sql, options = {}) => (options.type === QueryTypes.SELECT ? [] : [[], 0])
+    },
+    createTable: async (table, columns) => {
+      const attributes = Object.fromEntries(Object.entries(columns).map(([name, definition]) => [name, normalize(definition)]));
+      tables.set(table, new Map(Object.entries(generator.attributesToSQL(attributes, { context: 'createTable' }))));
+    },
+    addColumn: async (table, column, definition) => {
+      tables.get(table).set(column, generator.attributeToSQL(normalize(definition), { context: 'addColumn' }));
+    },
+    removeColumn: async (table, column) => {
+      tables.get(table).delete(column);
+    },
+    dropTable: async (table) => {
+      tables.delete(table);
+    },
+    renameTable: async (from, to) => {
+      tables.set(to, tables.get(from));
+      tables.delete(from);
+    },
+    showIndex: async () => []
+  }, {
+    // Остальное (индексы, перенос данных) на внешние ключи не влияет
+    get: (target, name) => (name in target ? target[name] : async () => {})
+  });
+
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    await require(path.join(MIGRATIONS_DIR, file)).up({ context: queryInterface });
+  }
+
+  const foreignKeys = [];
+  for (const [table, columns] of tables) {
+    for (const [column, sql] of columns) {
+      const match = /REFERENCES\s+["`[]?(\w+)["`\]]?(?:\s*\([^)]*\))?(.*)$/i.exec(sql);
+      if (match) {
+        const action = (event) => (new RegExp(`ON ${event} (SET NULL|SET DEFAULT|CASCADE)`, 'i').exec(match[2]) || [])[1];
+        foreignKeys.push({ table, column, parent: match[1], onDelete: action('DELETE'), onUpdate: action('UPDATE') });
+      }
+    }
+  }
+  return foreignKeys;
+};
+
+// Таблицы, до которых из одной таблицы доходит больше одного каскадного пути
+// (SQL Server отказывается создавать такие ключи — ошибка 1785)
+const multipleCascadePaths = (foreignKeys, event) => {
+  const cascading = foreignKeys.filter(key => key[event]);
+  const problems = [];
+  for (const root of new Set(cascading.map(key => key.parent))) {
+    const paths = new Map();
+    const walk = (table, trail) => {
+      for (const key of cascading.filter(item => item.parent === table)) {
+        const next = [...trail, `${key.table}.${key.column}`];
+        paths.set(key.table, [...(paths.get(key.table) || []), next.join(' → ')]);
+        if (!trail.includes(key.table)) {
+          walk(key.table, next);
+        }
+      }
+    };
+    walk(root, [root]);
+    for (const [table, list] of paths) {
+      if (list.length > 1) {
+        problems.push(`${root} → ${table}: ${list.join('; ')}`);
+      }
+    }
+  }
+  return problems;
+};
+
+test('на SQL Server до каждой таблицы ведёт не больше одного каскадного пути', async () => {
+  const foreignKeys = await recordForeignKeys('mssql');
+  assert.ok(foreignKeys.length > 0);
+  assert.deepStrictEqual(multipleCascadePaths(foreignKeys, 'onDelete'), []);
+  assert.deepStrictEqual(multipleCascadePaths(foreignKeys, 'onUpdate'), []);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Тесты работают с профилем test — SQLite в памяти, каждый запуск начинается с пустой базы
+process.env.NODE_ENV = 'test';
+const migrator = require('../config/migrator');
+const sequelize = require('../config/database');
+
+test.after(() => sequelize.close());
+
+test('все миграции применяются к пустой базе', async () => {
+  await migrator.up();
+  assert.deepStrictEqual(await migrator.pending(), []);
+
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  for (const table of ['Tours', 'Departures', 'CartItems', 'Orders', 'OrderItems', 'Users', 'Payments']) {
+    assert.ok(tables.includes(table), `нет таблицы ${table}`);
+  }
+});
+
+test('миграции откатываются до пустой схемы и применяются снова', async () => {
+  const executed = await migrator.executed();
+  await migrator.down({ to: 0 });
+  assert.deepStrictEqual(await migrator.executed(), []);
+
+  await migrator.up();
+  assert.strictEqual((await migrator.executed()).length, executed.length);
+});
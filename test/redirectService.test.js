@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { backUrl } = require('../services/redirectService');
+
+const request = (referer) => ({
+  get: (header) => ({ referer, host: 'localhost:3000' })[header.toLowerCase()]
+});
+
+test('возвращает на страницу этого же сайта из Referer', () => {
+  assert.strictEqual(backUrl(request('http://localhost:3000/tours?page=2')), '/tours?page=2');
+});
+
+test('чужой, испорченный или пустой Referer заменяется главной страницей', () => {
+  assert.strictEqual(backUrl(request('http://evil.example/tours')), '/');
+  assert.strictEqual(backUrl(request('javascript:alert(1)')), '/');
+  assert.strictEqual(backUrl(request('not a url')), '/');
+  assert.strictEqual(backUrl(request(undefined)), '/');
+});
+
+test('путь, начинающийся с // или /\\, не уводит на другой сайт', () => {
+  assert.strictEqual(backUrl(request('http://localhost:3000//evil.example/path')), '/');
+  assert.strictEqual(backUrl(request('http://localhost:3000/\\evil.example/path')), '/');
+  assert.strictEqual(backUrl(request('http://localhost:3000/%2F%2Fevil.example')), '/%2F%2Fevil.example');
+});